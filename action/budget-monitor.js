@@ -0,0 +1,53 @@
+/**
+ * Budget Monitor
+ * Track cumulative run cost against max_cost and signal warnings and overruns
+ */
+
+const logger = require('../utils/logger');
+
+class BudgetMonitor {
+  constructor(maxCost, options = {}) {
+    this.maxCost = maxCost;
+    this.thresholds = [...(options.thresholds || [0.5, 0.8])].sort((a, b) => a - b);
+    this.onWarning = options.onWarning || (() => {});
+    this.onExceeded = options.onExceeded || (() => {});
+
+    this.spent = 0; // Cost of finished attempts
+    this.current = 0; // Cost of the attempt that is still running
+    this.warned = new Set();
+    this.exceeded = false;
+  }
+
+  get total() {
+    return this.spent + this.current;
+  }
+
+  update(currentCost) {
+    // Trajectory reads can lag behind, so never let the running cost go backwards
+    this.current = Math.max(this.current, currentCost);
+
+    const fraction = this.total / this.maxCost;
+
+    for (const threshold of this.thresholds) {
+      if (fraction >= threshold && !this.warned.has(threshold)) {
+        this.warned.add(threshold);
+        logger.warn('Budget threshold reached', { threshold, total: this.total, maxCost: this.maxCost });
+        this.onWarning(threshold, this.total);
+      }
+    }
+
+    if (!this.exceeded && this.total >= this.maxCost) {
+      this.exceeded = true;
+      logger.warn('Budget exceeded', { total: this.total, maxCost: this.maxCost });
+      this.onExceeded(this.total);
+    }
+  }
+
+  finishAttempt(finalCost = this.current) {
+    this.current = 0;
+    this.spent += finalCost;
+    this.update(0);
+  }
+}
+
+module.exports = BudgetMonitor;
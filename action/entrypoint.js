@@ -10,24 +10,78 @@ const github = require('@actions/github');
 const SWEAgentRunner = require('./swe-agent-runner');
 const GitHubIntegration = require('./github-integration');
 const ConfigBuilder = require('../src/config-builder');
+const CommandParser = require('../src/command-parser');
+const StatusComment = require('./status-comment');
+const AuthorizationPolicy = require('../src/authorization-policy');
+const BotDetector = require('../src/bot-detector');
+const ProcessRunner = require('./process-runner');
 const logger = require('../utils/logger');
 
+// Comment authors trusted to confirm expensive runs
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
 class SWEAgentAction {
   constructor() {
     // Initialize components
     this.configBuilder = new ConfigBuilder();
     this.sweRunner = new SWEAgentRunner();
     this.github = new GitHubIntegration();
+    this.authorizationPolicy = new AuthorizationPolicy(
+      (org, team, username) => this.github.isTeamMember(org, team, username)
+    );
 
     // Parse inputs
     this.inputs = {
       model: core.getInput('model_name') || 'gpt-4o-mini',
       triggerPhrase: core.getInput('trigger_phrase') || '@swe-agent',
       maxCost: parseFloat(core.getInput('max_cost') || '5.00'),
+      fallbackModels: core.getInput('fallback_models') || '',
+      budgetWarningThresholds: core.getInput('budget_warning_thresholds') || '50,80',
       tools: core.getInput('tools') || 'str_replace_editor,bash',
+      createPr: core.getInput('create_pr') !== 'false',
+      confirmAbove: parseFloat(core.getInput('confirm_above') || '0'),
+      confirmLabel: core.getInput('confirm_label') || 'swe-agent:confirm',
+      apiBase: core.getInput('api_base') || '',
+      apiVersion: core.getInput('api_version') || '',
+      apiHeaders: core.getInput('api_headers') || '',
+      envPassthrough: core.getInput('env_passthrough') || '',
+      allowedAssociations: core.getInput('allowed_associations') || 'OWNER,MEMBER,COLLABORATOR',
+      allowedUsers: core.getInput('allowed_users') || '',
+      allowedTeams: core.getInput('allowed_teams') || '',
+      deniedUsers: core.getInput('denied_users') || '',
+      botLogin: core.getInput('bot_login') || '',
+      pricingFile: core.getInput('pricing_file') || '.github/swe-agent-pricing.yml',
+      maxIterations: parseInt(core.getInput('max_iterations') || '30', 10),
+      parseFunction: core.getInput('parse_function') || 'function_calling',
+      contextTokenBudget: parseInt(core.getInput('context_token_budget') || '6000', 10),
+      progressInterval: parseInt(core.getInput('progress_interval') || '30', 10),
+      workspaceTimeout: parseInt(core.getInput('workspace_timeout') || '300', 10),
+      gitTimeout: parseInt(core.getInput('git_timeout') || '600', 10),
+      workspaceMode: core.getInput('workspace_mode') || 'clone',
+      cloneDepth: parseInt(core.getInput('clone_depth') || '1', 10),
+      sparsePaths: core.getInput('sparse_paths') || '',
       debugMode: core.getInput('debug_mode') === 'true'
     };
 
+    // Header values usually carry proxy credentials
+    for (const header of this.inputs.apiHeaders.split('\n')) {
+      const value = header.slice(header.indexOf(':') + 1).trim();
+      if (header.includes(':') && value) {
+        core.setSecret(value);
+      }
+    }
+
+    // The logger only reads DEBUG_MODE from the environment, which the input doesn't set
+    if (this.inputs.debugMode) {
+      logger.level = 'debug';
+    }
+
+    this.botDetector = new BotDetector([this.inputs.botLogin]);
+
+    this.commandParser = new CommandParser(this.inputs.triggerPhrase, {
+      maxCostLimit: this.inputs.maxCost
+    });
+
     // GitHub context (handle test environment gracefully)
     this.context = {
       eventName: github.context?.eventName || process.env.GITHUB_EVENT_NAME,
@@ -64,6 +118,18 @@ class SWEAgentAction {
   }
 
   async run() {
+    let workspace = null;
+    ProcessRunner.reset();
+
+    // A cancelled workflow signals only this process; the agent runs in its own process group.
+    // Commands started after the signal are refused, so the run winds down at its next step
+    const onCancel = (signal) => {
+      logger.warn('Run cancelled, stopping running commands', { signal });
+      ProcessRunner.terminateAll();
+    };
+    process.once('SIGTERM', onCancel);
+    process.once('SIGINT', onCancel);
+
     try {
       // 1. Parse GitHub event
       const event = this.parseGitHubEvent();
@@ -75,24 +141,123 @@ class SWEAgentAction {
         return;
       }
 
+      // The workflow's own policy is checked before anything is posted, fetched or cloned
+      const inputPolicy = { authorization: this.configBuilder.parseAuthorization(this.inputs, null) };
+      if (!(await this.authorize(event, inputPolicy))) {
+        await this.refuseUnauthorized(event);
+        return;
+      }
+
+      // 3. Parse the trigger command
+      event.command = this.parseCommand(event);
+
+      if (event.command.errors.length > 0) {
+        logger.info('Invalid command', { errors: event.command.errors });
+        await this.github.postErrorComment(event, this.commandParser.formatErrors(event.command));
+        core.setOutput('status', 'invalid_command');
+        return;
+      }
+
+      if (event.command.verb === 'help') {
+        await this.github.postHelpComment(event, this.commandParser.formatUsage());
+        core.setOutput('status', 'skipped');
+        return;
+      }
+
+      if (event.command.verb === 'confirm' && !(await this.resumeConfirmedRun(event))) {
+        core.setOutput('status', 'skipped');
+        return;
+      }
+
       logger.info('Processing event', {
         type: event.type,
+        verb: event.command.verb,
         trigger: event.trigger
       });
 
-      // 3. Build SWE-agent configuration
-      const config = this.configBuilder.build(this.inputs);
+      // Fetch the thread before the status comment joins it
+      if (event.type === 'issue_comment') {
+        event.conversation = await this.github.getConversation(event);
+      }
+
+      // Acknowledge the trigger right away with a status comment edited through the run
+      this.statusComment = new StatusComment(this.github, event);
+      await this.statusComment.start(event.confirmationCommentId);
+
+      // Comments on pull requests arrive as issue comments without the PR's head ref
+      if (event.type === 'issue_comment' && event.issue.pull_request && !event.pullRequest) {
+        event.pullRequest = await this.github.getPullRequest(event);
+      }
 
-      // 4. Execute SWE-agent
-      const result = await this.sweRunner.execute(event, config);
+      if (event.type === 'pull_request_review') {
+        event.reviewComments = await this.github.getReviewComments(event);
+      }
 
-      // 5. Post result to GitHub
-      await this.github.postComment(event, result);
+      // Reviews see the pull request's changes and are answered with a PR review
+      if (event.pullRequest && event.command.verb === 'review' && event.type !== 'pull_request_review_comment') {
+        event.postAsReview = true;
+        event.pullRequestContext = await this.github.getPullRequestContext(event);
+      }
 
-      // 6. Set outputs
-      core.setOutput('status', 'success');
+      // 4. Clone the repository and load its .github/swe-agent.yml
+      workspace = await this.sweRunner.prepareWorkspace(event, this.statusComment, {
+        mode: this.inputs.workspaceMode,
+        depth: this.inputs.cloneDepth,
+        gitTimeout: this.inputs.gitTimeout * 1000,
+        sparsePaths: this.inputs.sparsePaths.split(/[,\n]/).map(p => p.trim()).filter(Boolean)
+      });
+      const repoConfig = await this.sweRunner.loadRepositoryConfig(workspace, {
+        pricingFile: this.inputs.pricingFile
+      });
+
+      // 5. Build SWE-agent configuration
+      const config = this.configBuilder.build(this.inputs, event.command.overrides, repoConfig, this.eventLabels(event));
+
+      // Checked again, since .github/swe-agent.yml can narrow the allowlists
+      if (!(await this.authorize(event, config))) {
+        await this.refuseUnauthorized(event, this.statusComment.commentId);
+        return;
+      }
+
+      // 6. Hold expensive runs until a maintainer confirms them
+      if (this.needsConfirmation(event, config)) {
+        const estimate = await this.sweRunner.estimateRunCost(event, config, workspace);
+
+        if (estimate.cost > config.confirm_above) {
+          await this.github.postConfirmationRequest(event, {
+            estimate,
+            config,
+            trigger: this.pendingTrigger(event),
+            reviewId: event.review?.id,
+            triggerPhrase: this.inputs.triggerPhrase
+          }, this.statusComment.commentId);
+          core.setOutput('status', 'awaiting_confirmation');
+          core.setOutput('cost_estimate', estimate.cost);
+          return;
+        }
+      }
+
+      // 7. Execute SWE-agent
+      const result = await this.sweRunner.execute(event, config, this.statusComment, workspace);
+
+      // 8. Open a pull request for pushed changes, unless they went onto an existing PR
+      if (result.branch && !result.branch.pushedToPullRequest) {
+        result.pullRequest = await this.github.createPullRequest(event, result);
+      }
+
+      // 9. Post result to GitHub
+      await this.github.postComment(event, result, this.statusComment.commentId, config.templates);
+
+      if (result.reviewThreads) {
+        await this.github.replyToReviewThreads(event, result);
+      }
+
+      // 10. Set outputs
+      core.setOutput('status', this.resultStatus(result));
       core.setOutput('cost_estimate', result.costEstimate);
+      core.setOutput('cost_breakdown', JSON.stringify(result.costBreakdown || []));
       core.setOutput('comment_url', result.commentUrl);
+      core.setOutput('pull_request_url', result.pullRequest?.html_url || '');
 
       logger.info('Action completed successfully', {
         cost: result.costEstimate
@@ -100,6 +265,13 @@ class SWEAgentAction {
 
     } catch (error) {
       await this.handleError(error);
+    } finally {
+      process.removeListener('SIGTERM', onCancel);
+      process.removeListener('SIGINT', onCancel);
+
+      if (workspace) {
+        await this.sweRunner.cleanup(workspace);
+      }
     }
   }
 
@@ -161,17 +333,49 @@ class SWEAgentAction {
         pullRequest: payload.pull_request
       };
 
+    case 'pull_request_review':
+      if (!payload.review || !payload.pull_request) {
+        throw new Error('Invalid pull_request_review payload structure');
+      }
+      return {
+        type: 'pull_request_review',
+        trigger: payload.review.body || '',
+        issueNumber: payload.pull_request.number,
+        repository: payload.repository,
+        review: payload.review,
+        pullRequest: payload.pull_request
+      };
+
     default:
       throw new Error(`Unsupported event type: ${eventName}`);
     }
   }
 
   shouldProcess(event) {
+    // Never react to bots, including our own comments that quote the trigger phrase
+    const botReason = this.botDetector.detect(this.eventSender(event), this.eventBody(event));
+    if (botReason) {
+      logger.info('Ignoring event caused by a bot', { reason: botReason, sender: this.eventSender(event)?.login });
+      return false;
+    }
+
     // Check if event contains trigger phrase
     if (event.type === 'issue_comment') {
       return event.trigger.includes(this.inputs.triggerPhrase);
     }
 
+    // Inline review comments are only acted on when first posted, not when edited
+    if (event.type === 'pull_request_review_comment') {
+      return this.context.payload.action === 'created' && event.trigger.includes(this.inputs.triggerPhrase);
+    }
+
+    // A "Changes requested" review mentioning the trigger hands all of its comments to one run
+    if (event.type === 'pull_request_review') {
+      return this.context.payload.action === 'submitted' &&
+        event.review.state === 'changes_requested' &&
+        event.trigger.includes(this.inputs.triggerPhrase);
+    }
+
     // Auto-process new issues and PRs if enabled
     if (event.type === 'issue' && this.context.payload.action === 'opened') {
       return true;
@@ -181,7 +385,177 @@ class SWEAgentAction {
       return true;
     }
 
-    return false;
+    return this.isConfirmLabelEvent(event);
+  }
+
+  eventSender(event) {
+    return this.context.payload.sender || event.comment?.user || null;
+  }
+
+  eventBody(event) {
+    if (event.comment || event.review) {
+      return (event.comment || event.review).body;
+    }
+
+    // The labelled item's body was not written by whoever added the label
+    if (this.context.payload.action === 'labeled') {
+      return null;
+    }
+
+    return (event.issue || event.pullRequest || {}).body;
+  }
+
+  isConfirmLabelEvent(event) {
+    const { action, label } = this.context.payload;
+
+    return (event.type === 'issue' || event.type === 'pull_request') &&
+      action === 'labeled' &&
+      label?.name === this.inputs.confirmLabel;
+  }
+
+  parseCommand(event) {
+    // Adding the confirmation label starts whatever run was waiting for it
+    if (this.isConfirmLabelEvent(event)) {
+      return this.commandParser.defaultCommand('confirm');
+    }
+
+    switch (event.type) {
+    case 'issue_comment':
+    case 'pull_request_review_comment':
+    case 'pull_request_review':
+      return this.commandParser.parse(event.trigger) || this.commandParser.defaultCommand();
+
+    case 'pull_request':
+      return this.commandParser.defaultCommand('review');
+
+    default:
+      return this.commandParser.defaultCommand();
+    }
+  }
+
+  async resumeConfirmedRun(event) {
+    const pending = await this.github.findPendingConfirmation(event, this.inputs.botLogin);
+
+    if (!pending) {
+      logger.info('No run is waiting for confirmation');
+      if (event.comment) {
+        await this.github.postErrorComment(event, 'ℹ️ There is no SWE-agent run waiting for confirmation here.');
+      }
+      return false;
+    }
+
+    // Labels can only be added by people with triage access, so only comments need checking
+    if (event.comment && !MAINTAINER_ASSOCIATIONS.includes(event.comment.author_association)) {
+      logger.info('Confirmation from non-maintainer ignored', {
+        actor: this.context.actor,
+        association: event.comment.author_association
+      });
+      await this.github.postErrorComment(
+        event,
+        `🔒 @${this.context.actor} cannot confirm runs; a repository maintainer has to.`
+      );
+      return false;
+    }
+
+    // The held trigger is parsed again, so it gets exactly the checks a fresh comment would
+    const command = this.commandParser.parse(pending.trigger) || this.commandParser.defaultCommand();
+    if (command.errors.length > 0) {
+      logger.warn('Held command no longer parses', { commentId: pending.commentId, errors: command.errors });
+      await this.github.postErrorComment(event, this.commandParser.formatErrors(command));
+      return false;
+    }
+
+    logger.info('Resuming confirmed run', { verb: command.verb, commentId: pending.commentId });
+
+    event.command = command;
+    event.confirmed = true;
+    event.confirmationCommentId = pending.commentId;
+
+    // A held review resumes as that review, so its inline comments are fetched and addressed again
+    if (pending.reviewId) {
+      event.pullRequest = event.pullRequest || await this.github.getPullRequest(event);
+      event.review = await this.github.getReview(event, pending.reviewId);
+      event.type = 'pull_request_review';
+    }
+
+    return true;
+  }
+
+  pendingTrigger(event) {
+    // Runs started without a comment get the trigger a maintainer would have typed
+    return event.comment || event.review
+      ? event.trigger
+      : `${this.inputs.triggerPhrase} ${event.command.verb}`;
+  }
+
+  needsConfirmation(event, config) {
+    return config.confirm_above > 0 &&
+      !event.confirmed &&
+      !this.eventLabels(event).includes(config.confirm_label);
+  }
+
+  eventLabels(event) {
+    const labels = (event.issue || event.pullRequest || {}).labels || [];
+    return labels.map(label => (typeof label === 'string' ? label : label.name));
+  }
+
+  eventAssociation(event) {
+    // Only people with triage access can add labels, which makes them collaborators at least
+    if (this.isConfirmLabelEvent(event)) {
+      return 'COLLABORATOR';
+    }
+
+    return (event.comment || event.review || event.issue || event.pullRequest || {}).author_association || null;
+  }
+
+  async authorize(event, config) {
+    const association = this.eventAssociation(event);
+    const decision = await this.authorizationPolicy.authorize(this.context.actor, association, config.authorization);
+
+    logger.info(decision.allowed ? 'Actor authorized' : 'Actor not authorized', {
+      actor: this.context.actor,
+      association,
+      ...decision
+    });
+
+    return decision.allowed;
+  }
+
+  async refuseUnauthorized(event, commentId = null) {
+    core.setOutput('status', 'unauthorized');
+
+    // Opened issues and PRs trigger runs nobody asked for, so their authors are not told off
+    if (!(event.comment || event.review)) {
+      logger.info('Skipping automatic run for an unauthorized author', { actor: this.context.actor });
+
+      if (commentId) {
+        await this.github.upsertComment(
+          event,
+          `⏭️ SWE-agent does not run automatically here. A maintainer can start it with \`${this.inputs.triggerPhrase} ${event.command.verb}\`.`,
+          commentId
+        );
+      }
+      return;
+    }
+
+    await this.github.postErrorComment(
+      event,
+      `👋 Sorry @${this.context.actor}, you are not authorized to run SWE-agent in this repository. A maintainer can trigger it on your behalf.`,
+      commentId
+    );
+  }
+
+  resultStatus(result) {
+    if (result.budgetExceeded) {
+      return 'budget_exceeded';
+    }
+    if (result.timedOut) {
+      return 'timeout';
+    }
+    if (result.cancelled) {
+      return 'cancelled';
+    }
+    return result.success ? 'success' : 'failure';
   }
 
   async handleError(error) {
@@ -194,17 +568,33 @@ class SWEAgentAction {
 
     // Try to post error comment to GitHub
     try {
-      await this.github.postErrorComment(this.parseGitHubEvent(), errorMessage);
+      await this.github.postErrorComment(this.parseGitHubEvent(), errorMessage, this.statusComment?.commentId);
     } catch (commentError) {
       logger.error('Failed to post error comment', { error: commentError.message });
     }
 
     // Set outputs and fail the action
-    core.setOutput('status', 'failure');
+    core.setOutput('status', error.cancelled ? 'cancelled' : 'failure');
     core.setFailed(errorMessage);
   }
 
   formatErrorMessage(error) {
+    if (error.cancelled) {
+      return '🛑 **Cancelled**: The workflow run was cancelled before SWE-agent finished.';
+    }
+
+    if (error.code === 'EINVALIDCONFIG') {
+      return `⚙️ **Invalid \`.github/swe-agent.yml\`**:\n${error.details.map(detail => `- ${detail}`).join('\n')}`;
+    }
+
+    if (error.code === 'ECLONE') {
+      return `📦 **Clone Failed**: Could not clone \`${error.repository}\`, so no run was started. Check that the workflow's token can read the repository (\`permissions: contents: read\`).\n\n\`\`\`\n${error.reason}\n\`\`\``;
+    }
+
+    if (error.code === 'ECHECKOUT') {
+      return `🔀 **Checkout Failed**: Could not check out pull request #${error.pullRequest}, so no run was started. Its branch may have been deleted or force-pushed; trigger the run again once it is back.\n\n\`\`\`\n${error.reason}\n\`\`\``;
+    }
+
     if (error.message.includes('API key')) {
       return '❌ **Configuration Error**: Missing or invalid API key. Please check your repository secrets.';
     }
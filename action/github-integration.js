@@ -5,16 +5,31 @@
 
 const { Octokit } = require('@octokit/rest');
 const core = require('@actions/core');
+const BotDetector = require('../src/bot-detector');
 const logger = require('../utils/logger');
 
+const FAILURE_REASONS = {
+  auth: 'authentication failed or API key missing',
+  rate_limit: 'rate limited by provider',
+  context_length: 'context length exceeded',
+  server_error: 'provider server error'
+};
+
+// Hidden marker carrying the trigger text a confirmation request is holding back
+const CONFIRMATION_MARKER = /<!-- swe-agent:pending-confirmation ([A-Za-z0-9+/=]+) -->/;
+
+// Who posts the action's comments when no bot_login is configured
+const DEFAULT_BOT_LOGIN = 'github-actions[bot]';
+
 class GitHubIntegration {
   constructor() {
     this.octokit = new Octokit({
       auth: process.env.GITHUB_TOKEN
     });
+    this.botDetector = new BotDetector();
   }
 
-  async postComment(event, result) {
+  async postComment(event, result, commentId = null, templates = {}) {
     // Handle test mode
     if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
       logger.info('Test mode: Simulating GitHub comment');
@@ -22,33 +37,66 @@ class GitHubIntegration {
       return { id: 'test-comment', html_url: result.commentUrl };
     }
 
+    // Successful reviews of a pull request's changes become a PR review
+    if (event.postAsReview && result.success) {
+      return this.postReview(event, result, commentId, templates);
+    }
+
     try {
-      const commentBody = this.formatResultComment(result);
+      const commentBody = this.formatResultComment(result, templates);
 
-      const response = await this.octokit.rest.issues.createComment({
-        owner: event.repository.owner.login,
-        repo: event.repository.name,
-        issue_number: event.issueNumber,
-        body: commentBody
-      });
+      // Replace the status comment when there is one, so each run leaves a single comment
+      const comment = await this.upsertComment(event, commentBody, commentId);
 
       logger.info('Comment posted successfully', {
-        commentId: response.data.id,
-        url: response.data.html_url
+        commentId: comment.id,
+        url: comment.html_url
       });
 
       // Update result with comment URL
+      result.commentUrl = comment.html_url;
+
+      return comment;
+
+    } catch (error) {
+      logger.error('Failed to post comment', { error: error.message });
+      throw error;
+    }
+  }
+
+  async postReview(event, result, commentId = null, templates = {}) {
+    try {
+      const response = await this.octokit.rest.pulls.createReview({
+        owner: event.repository.owner.login,
+        repo: event.repository.name,
+        pull_number: event.issueNumber,
+        commit_id: event.pullRequest.head.sha,
+        // The agent comments; approving or blocking stays with humans
+        event: 'COMMENT',
+        body: this.botDetector.mark(this.formatResultComment(result, templates))
+      });
+
       result.commentUrl = response.data.html_url;
+      logger.info('Review posted', { reviewId: response.data.id, url: result.commentUrl });
+
+      if (commentId) {
+        await this.updateComment(commentId, `## 🤖 SWE-Agent Review
+
+✅ Review posted: ${result.commentUrl}
+
+---
+<sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`, event);
+      }
 
       return response.data;
 
     } catch (error) {
-      logger.error('Failed to post comment', { error: error.message });
+      logger.error('Failed to post review', { error: error.message });
       throw error;
     }
   }
 
-  async postErrorComment(event, errorMessage) {
+  async postErrorComment(event, errorMessage, commentId = null) {
     // Handle test mode
     if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
       logger.info('Test mode: Simulating error comment');
@@ -63,35 +111,382 @@ ${errorMessage}
 ---
 <sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
 
-      const response = await this.octokit.rest.issues.createComment({
+      const comment = await this.upsertComment(event, commentBody, commentId);
+
+      logger.info('Error comment posted', { commentId: comment.id });
+      return comment;
+
+    } catch (error) {
+      logger.error('Failed to post error comment', { error: error.message });
+      // Don't throw here - we don't want to fail the action just because we can't post a comment
+    }
+  }
+
+  async postHelpComment(event, usage) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating help comment');
+      return { id: 'test-help-comment', html_url: 'https://github.com/test/repo/issues/1#issuecomment-test-help' };
+    }
+
+    try {
+      const commentBody = `## 🤖 SWE-Agent Help
+
+${usage}
+
+---
+<sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
+
+      const comment = await this.createComment(event, commentBody);
+
+      logger.info('Help comment posted', { commentId: comment.id });
+      return comment;
+
+    } catch (error) {
+      logger.error('Failed to post help comment', { error: error.message });
+    }
+  }
+
+  async postConfirmationRequest(event, request, commentId = null) {
+    const { estimate, config, trigger, reviewId, triggerPhrase } = request;
+    const pending = Buffer.from(JSON.stringify({ trigger, reviewId })).toString('base64');
+
+    const commentBody = `## 🤖 SWE-Agent Confirmation Needed
+
+💰 This run is estimated to cost **$${estimate.cost.toFixed(2)}**${estimate.capped ? ' (capped by the budget)' : ''} with \`${estimate.model}\`, above the $${config.confirm_above.toFixed(2)} confirmation threshold.
+
+- **Problem Statement**: ~${estimate.problemTokens.toLocaleString('en-US')} tokens
+- **Repository**: ${estimate.repoFiles.toLocaleString('en-US')} files
+- **Budget Limit**: $${config.max_cost.toFixed(2)}
+
+A maintainer can start the run by replying \`${triggerPhrase} confirm\` or by adding the \`${config.confirm_label}\` label.
+
+<!-- swe-agent:pending-confirmation ${pending} -->
+
+---
+<sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
+
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating confirmation request');
+      return { id: commentId || 'test-confirmation-comment', body: commentBody };
+    }
+
+    const comment = await this.upsertComment(event, commentBody, commentId);
+    logger.info('Confirmation requested', { commentId: comment.id, estimate: estimate.cost });
+
+    return comment;
+  }
+
+  async findPendingConfirmation(event, ownLogin = null) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating confirmation lookup');
+      return null;
+    }
+
+    // Requests held from an inline comment wait in the review thread, not the conversation
+    const comments = event.type === 'pull_request_review_comment'
+      ? await this.octokit.paginate(this.octokit.rest.pulls.listReviewComments, {
+        owner: event.repository.owner.login,
+        repo: event.repository.name,
+        pull_number: event.issueNumber,
+        per_page: 100
+      })
+      : await this.octokit.paginate(this.octokit.rest.issues.listComments, {
+        owner: event.repository.owner.login,
+        repo: event.repository.name,
+        issue_number: event.issueNumber,
+        per_page: 100
+      });
+
+    return this.parsePendingConfirmation(comments, ownLogin);
+  }
+
+  parsePendingConfirmation(comments, ownLogin = null) {
+    // Only our own comments count, so neither users nor other bots can stage a command by posting the marker
+    const self = new BotDetector([ownLogin || DEFAULT_BOT_LOGIN]);
+    const comment = [...comments].reverse().find(entry =>
+      self.isSelf(entry.user?.login) && CONFIRMATION_MARKER.test(entry.body || '')
+    );
+
+    if (!comment) {
+      return null;
+    }
+
+    try {
+      const encoded = comment.body.match(CONFIRMATION_MARKER)[1];
+      const { trigger, reviewId } = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+      if (typeof trigger !== 'string') {
+        throw new Error('marker holds no trigger text');
+      }
+      // Runs held from a review also need the review, whose inline comments are not in the trigger
+      return Number.isInteger(reviewId) ? { commentId: comment.id, trigger, reviewId } : { commentId: comment.id, trigger };
+    } catch (error) {
+      logger.warn('Ignoring unreadable confirmation marker', { commentId: comment.id, error: error.message });
+      return null;
+    }
+  }
+
+  async getConversation(event) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating conversation lookup');
+      return [];
+    }
+
+    try {
+      const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
         owner: event.repository.owner.login,
         repo: event.repository.name,
         issue_number: event.issueNumber,
-        body: commentBody
+        per_page: 100
+      });
+
+      logger.info('Conversation fetched', { comments: comments.length });
+      return comments;
+    } catch (error) {
+      // The run can still go ahead on the triggering comment alone
+      logger.warn('Failed to fetch conversation', { error: error.message });
+      return [];
+    }
+  }
+
+  async getPullRequestContext(event) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating pull request context lookup');
+      return null;
+    }
+
+    const params = {
+      owner: event.repository.owner.login,
+      repo: event.repository.name,
+      pull_number: event.issueNumber,
+      per_page: 100
+    };
+
+    try {
+      const [files, commits] = await Promise.all([
+        this.octokit.paginate(this.octokit.rest.pulls.listFiles, params),
+        this.octokit.paginate(this.octokit.rest.pulls.listCommits, params)
+      ]);
+
+      logger.info('Pull request context fetched', { files: files.length, commits: commits.length });
+      return { files, commits };
+    } catch (error) {
+      // A review without the diff is still better than no review
+      logger.warn('Failed to fetch pull request context', { error: error.message });
+      return null;
+    }
+  }
+
+  async getReview(event, reviewId) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating review lookup');
+      return { id: reviewId, body: '' };
+    }
+
+    const response = await this.octokit.rest.pulls.getReview({
+      owner: event.repository.owner.login,
+      repo: event.repository.name,
+      pull_number: event.issueNumber,
+      review_id: reviewId
+    });
+
+    return response.data;
+  }
+
+  async getReviewComments(event) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating review comments lookup');
+      return [];
+    }
+
+    const comments = await this.octokit.paginate(this.octokit.rest.pulls.listCommentsForReview, {
+      owner: event.repository.owner.login,
+      repo: event.repository.name,
+      pull_number: event.issueNumber,
+      review_id: event.review.id,
+      per_page: 100
+    });
+
+    logger.info('Review comments fetched', { reviewId: event.review.id, count: comments.length });
+    return comments;
+  }
+
+  async replyToReviewThreads(event, result) {
+    const threads = result.reviewThreads || [];
+
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating review thread replies', { threads: threads.length });
+      return;
+    }
+
+    for (const { comment, status } of threads) {
+      try {
+        await this.createComment(
+          { ...event, type: 'pull_request_review_comment', comment },
+          this.formatThreadReply(status, comment, result.branch)
+        );
+      } catch (error) {
+        // One unanswered thread should not hide the others or the overall result
+        logger.warn('Failed to reply to review thread', { commentId: comment.id, error: error.message });
+      }
+    }
+  }
+
+  formatThreadReply(status, comment, branch) {
+    const commit = branch ? `\`${branch.sha.slice(0, 7)}\`` : null;
+
+    switch (status) {
+    case 'addressed':
+      return `✅ Addressed in ${commit}.`;
+    case 'file_changed':
+      return `🟡 \`${comment.path}\` was changed in ${commit}, but not at the commented lines. Please check whether this comment still applies.`;
+    default:
+      return commit
+        ? `⏭️ Not addressed by ${commit}.`
+        : '⏭️ Not addressed; this run did not push any changes.';
+    }
+  }
+
+  async isTeamMember(org, teamSlug, username) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating team membership check');
+      return false;
+    }
+
+    try {
+      const response = await this.octokit.rest.teams.getMembershipForUserInOrg({
+        org,
+        team_slug: teamSlug,
+        username
+      });
+
+      // Pending invitations do not count as membership
+      return response.data.state === 'active';
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getPullRequest(event) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating pull request lookup');
+      return null;
+    }
+
+    const response = await this.octokit.rest.pulls.get({
+      owner: event.repository.owner.login,
+      repo: event.repository.name,
+      pull_number: event.issueNumber
+    });
+
+    logger.info('Pull request resolved', {
+      number: response.data.number,
+      head: response.data.head.ref
+    });
+
+    return response.data;
+  }
+
+  async createPullRequest(event, result) {
+    const { branch } = result;
+
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating pull request creation');
+      return { number: 2, html_url: 'https://github.com/test/repo/pull/2' };
+    }
+
+    try {
+      const title = event.issue?.title || event.pullRequest?.title || 'Apply SWE-agent changes';
+
+      const response = await this.octokit.rest.pulls.create({
+        owner: event.repository.owner.login,
+        repo: event.repository.name,
+        title: `🤖 SWE-Agent: ${title}`,
+        head: branch.name,
+        base: branch.base,
+        body: this.botDetector.mark(this.formatPullRequestBody(event, result))
+      });
+
+      logger.info('Pull request created', {
+        number: response.data.number,
+        url: response.data.html_url
       });
 
-      logger.info('Error comment posted', { commentId: response.data.id });
       return response.data;
 
     } catch (error) {
-      logger.error('Failed to post error comment', { error: error.message });
-      // Don't throw here - we don't want to fail the action just because we can't post a comment
+      // The branch is already pushed, so report it in the result comment instead of failing
+      logger.error('Failed to create pull request', { error: error.message });
+      result.publishError = `Branch \`${branch.name}\` was pushed but the pull request could not be opened: ${error.message}`;
+      return null;
     }
   }
 
-  formatResultComment(result) {
+  formatPullRequestBody(event, result) {
+    // Only issues can be closed by a pull request reference
+    const reference = event.pullRequest
+      ? `Stacked on #${event.issueNumber}`
+      : `Fixes #${event.issueNumber}`;
+
+    return `## 🤖 SWE-Agent Changes
+
+${reference}
+
+### Summary
+${result.summary}
+
+### Changes Applied
+${this.formatChanges(result.filesChanged)}
+
+### Execution Details
+- **Model**: ${result.model}
+- **Est. Cost**: $${result.costEstimate.toFixed(4)}
+
+---
+<sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
+  }
+
+  formatResultComment(result, templates = {}) {
     const { success, summary, costEstimate, executionTime, filesChanged, model } = result;
 
+    // Repositories can replace the default layout via templates in .github/swe-agent.yml
+    const template = templates[success ? 'success' : 'failure'];
+    if (template) {
+      return this.renderTemplate(template, {
+        summary: summary || '',
+        error: result.error || '',
+        model: model,
+        cost: `$${costEstimate.toFixed(4)}`,
+        execution_time: this.formatTime(executionTime),
+        files_changed: String((filesChanged || []).length),
+        changes: this.formatChanges(filesChanged),
+        pull_request: this.formatPullRequest(result).trim()
+      });
+    }
+
     if (!success) {
       return `## 🤖 SWE-Agent Analysis Failed
 
-❌ **Execution Failed**: ${result.error}
-
+${this.failureLabel(result)}: ${result.error}
+${this.formatPartialPatch(result.partialPatch)}
 ### Execution Details
 - **Model**: ${model}
 - **Execution Time**: ${this.formatTime(executionTime)}
-- **Est. Cost**: $${costEstimate.toFixed(4)}
-
+- **${this.costLabel(result.usage)}**: $${costEstimate.toFixed(4)}
+${this.formatUsage(result.usage, result.model)}${this.formatAttempts(result.attempts)}
 ---
 <sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
     }
@@ -105,17 +500,22 @@ ${summary}
 
 ### Changes Applied
 ${this.formatChanges(filesChanged)}
-
+${this.formatPullRequest(result)}
 ### Execution Details
 - **Model**: ${model}
 - **Execution Time**: ${this.formatTime(executionTime)}
-- **Est. Cost**: $${costEstimate.toFixed(4)}
-- **Files Changed**: ${filesChanged.length}
-
+- **${this.costLabel(result.usage)}**: $${costEstimate.toFixed(4)}
+${this.formatUsage(result.usage, result.model)}- **Files Changed**: ${filesChanged.length}
+${this.formatAttempts(result.attempts)}
 ---
 <sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
   }
 
+  renderTemplate(template, variables) {
+    // Unknown placeholders render empty rather than leaking {{braces}} into the comment
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => variables[name] ?? '');
+  }
+
   formatChanges(filesChanged) {
     if (!filesChanged || filesChanged.length === 0) {
       return '📝 No file changes were made.';
@@ -124,15 +524,23 @@ ${this.formatChanges(filesChanged)}
     let changes = '';
 
     for (const file of filesChanged.slice(0, 10)) { // Limit to first 10 files
-      const { path: filePath, action, linesAdded, linesRemoved } = file;
+      const { path: filePath, oldPath, action, linesAdded, linesRemoved, binary, oldMode, newMode } = file;
       const changeType = this.getChangeIcon(action);
 
-      changes += `${changeType} \`${filePath}\``;
+      changes += oldPath
+        ? `${changeType} \`${oldPath}\` → \`${filePath}\``
+        : `${changeType} \`${filePath}\``;
 
-      if (linesAdded || linesRemoved) {
+      if (binary) {
+        changes += ' (binary)';
+      } else if (linesAdded || linesRemoved) {
         changes += ` (+${linesAdded || 0}/-${linesRemoved || 0})`;
       }
 
+      if (oldMode && newMode && oldMode !== newMode) {
+        changes += ` (mode ${oldMode} → ${newMode})`;
+      }
+
       changes += '\n';
     }
 
@@ -143,6 +551,121 @@ ${this.formatChanges(filesChanged)}
     return changes.trim();
   }
 
+  formatPullRequest(result) {
+    const { pullRequest, branch, publishError } = result;
+
+    if (pullRequest) {
+      return `
+### Pull Request
+🔀 Opened #${pullRequest.number}: ${pullRequest.html_url}
+`;
+    }
+
+    if (branch && branch.pushedToPullRequest) {
+      return `
+### Changes Pushed
+⬆️ Pushed commit \`${branch.sha.slice(0, 7)}\` to \`${branch.name}\`
+`;
+    }
+
+    if (publishError) {
+      return `
+### Pull Request
+⚠️ ${publishError}
+`;
+    }
+
+    if (branch) {
+      return `
+### Pull Request
+🌿 Changes pushed to branch \`${branch.name}\`
+`;
+    }
+
+    return '';
+  }
+
+  failureLabel(result) {
+    if (result.budgetExceeded) {
+      return '💸 **Budget Exceeded**';
+    }
+    if (result.timedOut) {
+      return '⏱️ **Timed Out**';
+    }
+    if (result.cancelled) {
+      return '🛑 **Cancelled**';
+    }
+    return '❌ **Execution Failed**';
+  }
+
+  formatPartialPatch(patch) {
+    if (!patch) {
+      return '';
+    }
+
+    // GitHub rejects comment bodies over 65536 characters
+    const limit = 20000;
+    const shown = patch.length > limit ? `${patch.slice(0, limit)}\n... (truncated)` : patch;
+
+    return `
+<details>
+<summary>Partial patch from the interrupted run</summary>
+
+\`\`\`diff
+${shown}
+\`\`\`
+
+</details>
+`;
+  }
+
+  costLabel(usage) {
+    return usage && usage.source === 'trajectory' ? 'Cost' : 'Est. Cost';
+  }
+
+  formatUsage(usage, model) {
+    if (!usage) {
+      return '';
+    }
+
+    let lines = '';
+
+    // Token counts are only meaningful when read from the trajectory
+    if (usage.source === 'trajectory') {
+      lines += `- **Tokens**: ${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out (${usage.apiCalls} API calls)
+`;
+    }
+
+    if (usage.priced === false) {
+      lines += `- ⚠️ No known price for \`${model}\`; default rates were used
+`;
+    }
+
+    return lines;
+  }
+
+  formatAttempts(attempts) {
+    // Only worth showing when the fallback chain was actually used
+    if (!attempts || attempts.length < 2) {
+      return '';
+    }
+
+    const rows = attempts.map((attempt, index) => {
+      const outcome = attempt.final
+        ? (attempt.reason ? `⚠️ final attempt (${FAILURE_REASONS[attempt.reason]})` : '✅ used for result')
+        : `⏭️ abandoned: ${FAILURE_REASONS[attempt.reason] || attempt.reason}`;
+
+      return `| ${index + 1} | \`${attempt.model}\` | ${outcome} | $${attempt.cost.toFixed(4)} |`;
+    });
+
+    return `
+### Model Attempts
+| # | Model | Outcome | Cost |
+|---|-------|---------|------|
+${rows.join('\n')}
+`;
+  }
+
   getChangeIcon(action) {
     switch (action) {
     case 'added':
@@ -154,6 +677,10 @@ ${this.formatChanges(filesChanged)}
     case 'deleted':
     case 'remove':
       return '🗑️';
+    case 'renamed':
+      return '🚚';
+    case 'copied':
+      return '📋';
     default:
       return '📝';
     }
@@ -171,14 +698,58 @@ ${this.formatChanges(filesChanged)}
     }
   }
 
+  async upsertComment(event, body, commentId = null) {
+    if (commentId) {
+      return this.updateComment(commentId, body, event);
+    }
+
+    return this.createComment(event, body);
+  }
+
+  async createComment(event, body) {
+    const params = {
+      owner: event.repository.owner.login,
+      repo: event.repository.name,
+      body: this.botDetector.mark(body)
+    };
+
+    // Inline review requests are answered in their own thread; replies must target its first comment
+    if (event.type === 'pull_request_review_comment') {
+      const response = await this.octokit.rest.pulls.createReplyForReviewComment({
+        ...params,
+        pull_number: event.issueNumber,
+        comment_id: event.comment.in_reply_to_id || event.comment.id
+      });
+      return response.data;
+    }
+
+    const response = await this.octokit.rest.issues.createComment({
+      ...params,
+      issue_number: event.issueNumber
+    });
+
+    return response.data;
+  }
+
   async updateComment(commentId, newBody, event) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating comment update');
+      return { id: commentId, html_url: `https://github.com/test/repo/issues/1#issuecomment-${commentId}` };
+    }
+
     try {
-      const response = await this.octokit.rest.issues.updateComment({
+      const params = {
         owner: event.repository.owner.login,
         repo: event.repository.name,
         comment_id: commentId,
-        body: newBody
-      });
+        body: this.botDetector.mark(newBody)
+      };
+
+      // Review thread replies are pull request review comments, edited through the pulls API
+      const response = event.type === 'pull_request_review_comment'
+        ? await this.octokit.rest.pulls.updateReviewComment(params)
+        : await this.octokit.rest.issues.updateComment(params);
 
       logger.info('Comment updated successfully', { commentId });
       return response.data;
@@ -192,26 +763,29 @@ ${this.formatChanges(filesChanged)}
     }
   }
 
-  async postProgressComment(event, status) {
-    try {
-      const commentBody = `## 🤖 SWE-Agent Working...
+  formatProgressComment(status) {
+    return `## 🤖 SWE-Agent Working...
 
-🔄 **Status**: ${status}
+${status}
 
 *This comment will be updated with results when analysis is complete.*
 
 ---
 <sub>🔧 SWE-Agent GitHub Action Wrapper</sub>`;
+  }
 
-      const response = await this.octokit.rest.issues.createComment({
-        owner: event.repository.owner.login,
-        repo: event.repository.name,
-        issue_number: event.issueNumber,
-        body: commentBody
-      });
+  async postProgressComment(event, status) {
+    // Handle test mode
+    if (process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID) {
+      logger.info('Test mode: Simulating progress comment');
+      return { id: 'test-progress-comment', html_url: 'https://github.com/test/repo/issues/1#issuecomment-test-progress' };
+    }
 
-      logger.info('Progress comment posted', { commentId: response.data.id });
-      return response.data;
+    try {
+      const comment = await this.createComment(event, this.formatProgressComment(status));
+
+      logger.info('Progress comment posted', { commentId: comment.id });
+      return comment;
 
     } catch (error) {
       logger.warn('Failed to post progress comment', { error: error.message });
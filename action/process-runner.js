@@ -0,0 +1,284 @@
+/**
+ * Process Runner
+ * Run a program with an argument array, never through a shell
+ */
+
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+
+// Two minutes unless the caller asks for longer
+const DEFAULT_TIMEOUT = 120000;
+
+// Per stream; the agent's log can run to megabytes and only the end usually matters
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+
+const MAX_LINE = 64 * 1024;
+
+// Time between SIGTERM and SIGKILL when a command is stopped
+const DEFAULT_KILL_GRACE = 10000;
+
+// Commands still running, for terminateAll
+const running = new Set();
+
+// Set by terminateAll, so a cancellation that arrives between commands still stops the run
+let cancelled = false;
+
+class ProcessRunner {
+  run(command, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.validate(command, args);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      // Only cleanup and salvage steps may still run once the run is cancelled
+      if (cancelled && !options.afterCancel) {
+        reject(cancelledError(command));
+        return;
+      }
+
+      const maxOutput = options.maxOutput || DEFAULT_MAX_OUTPUT;
+      const stdout = new OutputBuffer(maxOutput);
+      const stderr = new OutputBuffer(maxOutput);
+      const lines = options.onLine ? {
+        stdout: new LineSplitter(line => options.onLine(line, 'stdout')),
+        stderr: new LineSplitter(line => options.onLine(line, 'stderr'))
+      } : null;
+      let settled = false;
+      let stopError = null;
+      let child;
+      const timers = [];
+
+      const finish = (error, code) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        timers.forEach(clearTimeout);
+        running.delete(handle);
+        options.signal?.removeEventListener('abort', onAbort);
+        lines?.stdout.flush();
+        lines?.stderr.flush();
+
+        const output = {
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          truncated: stdout.truncated || stderr.truncated
+        };
+
+        if (error) {
+          reject(Object.assign(error, output));
+        } else {
+          resolve({ ...output, code });
+        }
+      };
+
+      // SIGTERM lets the program clean up (SWE-agent saves its trajectory); SIGKILL follows after the grace period
+      const stop = (error) => {
+        if (stopError || settled) {
+          return;
+        }
+        stopError = error;
+
+        const grace = options.killGrace ?? DEFAULT_KILL_GRACE;
+        signalGroup(child, 'SIGTERM');
+        timers.push(setTimeout(() => {
+          signalGroup(child, 'SIGKILL');
+          // A grandchild that escaped the group can hold the pipes open forever
+          timers.push(setTimeout(() => finish(stopError), grace));
+        }, grace));
+      };
+
+      const handle = { command, stop };
+      const onAbort = () => stop(stoppedError(command, 'was aborted', 'ABORT_ERR'));
+
+      try {
+        child = spawn(command, args, {
+          shell: false,
+          cwd: options.cwd || process.cwd(),
+          env: options.inheritEnv === false ? options.env : { ...process.env, ...options.env },
+          // Its own process group, so stopping it also stops everything it started
+          detached: process.platform !== 'win32',
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+      } catch (error) {
+        // spawn throws synchronously for invalid arguments such as NUL bytes
+        reject(error);
+        return;
+      }
+
+      running.add(handle);
+
+      const timeout = options.timeout || DEFAULT_TIMEOUT;
+      timers.push(setTimeout(() => {
+        const error = stoppedError(command, `timed out after ${timeout}ms`, 'ETIMEDOUT');
+        error.timedOut = true;
+        stop(error);
+      }, timeout));
+
+      if (options.signal?.aborted) {
+        onAbort();
+      } else {
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // Lines reach onLine as they arrive, not only once the process has exited
+      child.stdout.on('data', data => {
+        stdout.append(data);
+        lines?.stdout.write(data);
+      });
+      child.stderr.on('data', data => {
+        stderr.append(data);
+        lines?.stderr.write(data);
+      });
+
+      child.on('error', error => finish(error));
+
+      child.on('close', (code, signal) => {
+        if (stopError) {
+          finish(stopError);
+          return;
+        }
+
+        if (code === 0) {
+          finish(null, code);
+          return;
+        }
+
+        const error = new Error(signal
+          ? `${command} was stopped by ${signal}`
+          : `${command} failed with exit code ${code}`);
+        error.code = code;
+        error.signal = signal;
+        finish(error);
+      });
+
+      // A program that never reads stdin must not crash the runner with EPIPE
+      child.stdin.on('error', () => {});
+      child.stdin.end(options.stdin ?? undefined);
+    });
+  }
+
+  // Stops every running command and refuses new ones, e.g. when the workflow run is cancelled
+  static terminateAll() {
+    cancelled = true;
+
+    for (const handle of running) {
+      handle.stop(cancelledError(handle.command));
+    }
+  }
+
+  // Lets commands start again after terminateAll, for a new run in the same process
+  static reset() {
+    cancelled = false;
+  }
+
+  validate(command, args) {
+    if (typeof command !== 'string' || command.length === 0) {
+      throw new Error('Command must be a non-empty string');
+    }
+
+    if (!Array.isArray(args)) {
+      throw new Error(`Arguments for ${command} must be an array`);
+    }
+
+    const invalid = args.findIndex(arg => typeof arg !== 'string' || arg.includes('\0'));
+    if (invalid !== -1) {
+      throw new Error(`Argument ${invalid} for ${command} must be a string without NUL bytes`);
+    }
+  }
+}
+
+function stoppedError(command, what, code) {
+  const error = new Error(`${command} ${what}`);
+  error.code = code;
+  return error;
+}
+
+function cancelledError(command) {
+  const error = stoppedError(command, 'was cancelled', 'ECANCELED');
+  error.cancelled = true;
+  return error;
+}
+
+function signalGroup(child, signal) {
+  try {
+    // A negative pid addresses the whole process group
+    process.kill(process.platform === 'win32' ? child.pid : -child.pid, signal);
+  } catch (error) {
+    // ESRCH: everything in the group has already exited
+    if (error.code !== 'ESRCH') {
+      child.kill(signal);
+    }
+  }
+}
+
+// Keeps the most recent output once a stream exceeds its cap
+class OutputBuffer {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.length = 0;
+    this.truncated = false;
+  }
+
+  append(data) {
+    this.chunks.push(data);
+    this.length += data.length;
+
+    while (this.length > this.limit && this.chunks.length > 0) {
+      const excess = this.length - this.limit;
+      const first = this.chunks[0];
+      this.truncated = true;
+
+      if (first.length <= excess) {
+        this.chunks.shift();
+        this.length -= first.length;
+      } else {
+        this.chunks[0] = first.subarray(excess);
+        this.length -= excess;
+      }
+    }
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString();
+  }
+}
+
+// Splits a byte stream into lines, holding back the unfinished last one
+class LineSplitter {
+  constructor(onLine) {
+    this.onLine = onLine;
+    this.partial = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  write(data) {
+    const parts = (this.partial + this.decoder.write(data)).split(/\r?\n/);
+    this.partial = parts.pop();
+    parts.forEach(line => this.onLine(line));
+
+    // Output without newlines (progress bars, minified dumps) is passed on in pieces
+    if (this.partial.length > MAX_LINE) {
+      this.onLine(this.partial);
+      this.partial = '';
+    }
+  }
+
+  flush() {
+    const rest = this.partial + this.decoder.end();
+    this.partial = '';
+    if (rest) {
+      this.onLine(rest);
+    }
+  }
+}
+
+ProcessRunner.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+ProcessRunner.DEFAULT_MAX_OUTPUT = DEFAULT_MAX_OUTPUT;
+ProcessRunner.DEFAULT_KILL_GRACE = DEFAULT_KILL_GRACE;
+
+module.exports = ProcessRunner;
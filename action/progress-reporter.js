@@ -0,0 +1,82 @@
+/**
+ * Progress Reporter
+ * Mirror SWE-agent's steps into collapsible Actions log groups and a throttled status comment
+ */
+
+const core = require('@actions/core');
+const logger = require('../utils/logger');
+
+// Keeps the status line short; the Actions log has the full command
+const MAX_DETAIL_ACTION = 80;
+
+class ProgressReporter {
+  constructor(statusComment = null, options = {}) {
+    this.statusComment = statusComment;
+    this.detail = options.detail || '';
+    this.interval = options.interval ?? 30000;
+    this.now = options.now || Date.now;
+    this.step = null;
+    this.groupOpen = false;
+    this.lastRefresh = null;
+    this.refreshing = null;
+  }
+
+  line(line) {
+    // Agent output is untrusted, and a line starting with "::" would run as a workflow command
+    core.info(line.replace(/^(\s*)::/, '$1:\u200b:'));
+  }
+
+  progress(event) {
+    logger.debug('SWE-agent progress', event);
+
+    if (event.step !== this.step && event.step > 0) {
+      this.endGroup();
+      core.startGroup(`SWE-agent step ${event.step} (${Math.round(event.elapsedMs / 1000)}s elapsed)`);
+      this.groupOpen = true;
+      this.step = event.step;
+    }
+
+    if (event.type === 'action') {
+      this.refresh(event);
+    }
+  }
+
+  refresh(event) {
+    if (!this.statusComment || this.interval <= 0 || this.refreshing) {
+      return;
+    }
+
+    // Comment edits count against the API rate limit, so at most one per interval
+    if (this.lastRefresh !== null && this.now() - this.lastRefresh < this.interval) {
+      return;
+    }
+
+    this.lastRefresh = this.now();
+
+    // A backtick would end the code span the action is shown in
+    const action = event.action.replace(/`/g, "'");
+    const shown = action.length > MAX_DETAIL_ACTION ? `${action.slice(0, MAX_DETAIL_ACTION - 1)}…` : action;
+    const detail = `${this.detail}${this.detail ? ' — ' : ''}step ${event.step}: \`${shown}\``;
+
+    this.refreshing = Promise.resolve(this.statusComment.update('running', detail))
+      .finally(() => {
+        this.refreshing = null;
+      });
+  }
+
+  async finish() {
+    this.endGroup();
+
+    // Don't let a late edit overwrite the phase that follows the run
+    await this.refreshing;
+  }
+
+  endGroup() {
+    if (this.groupOpen) {
+      core.endGroup();
+      this.groupOpen = false;
+    }
+  }
+}
+
+module.exports = ProgressReporter;
@@ -0,0 +1,95 @@
+/**
+ * Status Comment
+ * A single bot comment edited in place as the run moves through its phases
+ */
+
+const logger = require('../utils/logger');
+
+const PHASES = [
+  { key: 'queued', label: 'Queued' },
+  { key: 'cloning', label: 'Cloning repository' },
+  { key: 'running', label: 'Running SWE-agent' },
+  { key: 'parsing', label: 'Parsing results' },
+  { key: 'publishing', label: 'Publishing changes' }
+];
+
+class StatusComment {
+  constructor(github, event) {
+    this.github = github;
+    this.event = event;
+    this.commentId = null;
+    this.phase = null;
+    this.detail = '';
+    this.warnings = [];
+    this.startTime = Date.now();
+  }
+
+  async start(commentId = null) {
+    this.phase = 'queued';
+
+    // Resumed runs take over the comment that asked for confirmation
+    if (commentId) {
+      this.commentId = commentId;
+      await this.refresh();
+      return this.commentId;
+    }
+
+    const comment = await this.github.postProgressComment(this.event, this.render());
+    this.commentId = comment ? comment.id : null;
+
+    return this.commentId;
+  }
+
+  async update(phase, detail = '') {
+    this.phase = phase;
+    this.detail = detail;
+
+    logger.info('Run phase changed', { phase, detail });
+
+    await this.refresh();
+  }
+
+  async warn(message) {
+    this.warnings.push(message);
+    await this.refresh();
+  }
+
+  async refresh() {
+    if (!this.commentId) {
+      return;
+    }
+
+    try {
+      await this.github.updateComment(this.commentId, this.github.formatProgressComment(this.render()), this.event);
+    } catch (error) {
+      // Status updates are best effort; the final result is still posted
+      logger.warn('Failed to update status comment', { phase: this.phase, error: error.message });
+    }
+  }
+
+  elapsed() {
+    return Date.now() - this.startTime;
+  }
+
+  render() {
+    const currentIndex = PHASES.findIndex(phase => phase.key === this.phase);
+
+    const lines = PHASES.map((phase, index) => {
+      if (index < currentIndex) {
+        return `✅ ${phase.label}`;
+      }
+      if (index === currentIndex) {
+        return `🔄 **${phase.label}**${this.detail ? ` — ${this.detail}` : ''}`;
+      }
+      return `⬜ ${phase.label}`;
+    });
+
+    const warnings = this.warnings.map(warning => `\n⚠️ ${warning}`).join('');
+
+    return `${lines.join('\n')}
+${warnings}
+⏱️ **Elapsed**: ${this.github.formatTime(this.elapsed())}`;
+  }
+}
+
+module.exports = StatusComment;
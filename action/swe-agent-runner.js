@@ -3,54 +3,396 @@
  * Direct execution of SWE-agent CLI without complex orchestration
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const ResultParser = require('../src/result-parser');
+const ConfigBuilder = require('../src/config-builder');
+const RepoConfig = require('../src/repo-config');
+const SWEConfigGenerator = require('../src/swe-config-generator');
+const PricingCatalogue = require('../src/pricing-catalogue');
+const ConversationBuilder = require('../src/conversation-builder');
+const StepTracker = require('../src/step-tracker');
+const WorkspaceManager = require('./workspace-manager');
+const ProcessRunner = require('./process-runner');
+const ProgressReporter = require('./progress-reporter');
+const BudgetMonitor = require('./budget-monitor');
 const logger = require('../utils/logger');
+const { buildChildEnvironment } = require('../utils/environment');
+
+// Files the runner writes into the repository that must never be committed
+const RUNNER_ARTIFACTS = ['swe-agent-config.yaml', 'problem.md', 'output/'];
+
+// Per SWE-agent attempt, unless workspace_timeout says otherwise
+const DEFAULT_AGENT_TIMEOUT = 300000;
+
+// How setupWorkspace obtains the repository; see populateWorkspace
+const WORKSPACE_MODES = ['clone', 'shallow', 'sparse', 'worktree'];
+
+// Pull request diff limits for the problem statement, in characters
+const MAX_FILE_DIFF = 8000;
+const MAX_TOTAL_DIFF = 40000;
+const MAX_COMMITS = 50;
 
 class SWEAgentRunner {
   constructor() {
     this.resultParser = new ResultParser();
+    this.configBuilder = new ConfigBuilder();
+    this.repoConfig = new RepoConfig();
+    this.configGenerator = new SWEConfigGenerator();
+    this.pricingCatalogue = new PricingCatalogue();
+    this.conversationBuilder = new ConversationBuilder();
+    this.processRunner = new ProcessRunner();
+    // Worktree paths mapped to the checkout they were added to, for cleanup
+    this.worktrees = new Map();
+    // Repositories mapped to the run directory around them, which holds the runner's own files
+    this.runDirectories = new Map();
+    this.gitTimeout = WorkspaceManager.DEFAULT_TIMEOUT;
+    this.budgetPollInterval = 5000;
   }
 
-  async execute(event, config) {
+  async execute(event, config, statusComment = null, preparedWorkspace = null) {
     const startTime = Date.now();
-    let workspace = null;
+    let workspace = preparedWorkspace;
 
     try {
-      // 1. Setup workspace
-      workspace = await this.setupWorkspace(event);
-      logger.info('Workspace created', { workspace });
+      // 1. Setup workspace, unless the caller already prepared one (and will clean it up)
+      if (!workspace) {
+        workspace = await this.prepareWorkspace(event, statusComment);
+      }
+
+      // 2. Create problem statement
+      const problemPath = await this.createProblemStatement(event, workspace, {
+        contextTokens: config.context_token_budget
+      });
 
-      // 2. Write config file
-      const configPath = await this.writeConfig(config, workspace);
+      // 3. Execute SWE-agent CLI, falling back through the model chain
+      this.resultParser.setPricing(config.pricing);
+      const budget = new BudgetMonitor(config.max_cost, {
+        thresholds: config.budget_thresholds,
+        onWarning: (threshold, total) => statusComment?.warn(
+          `Budget ${Math.round(threshold * 100)}% used ($${total.toFixed(2)} of $${config.max_cost.toFixed(2)})`
+        )
+      });
 
-      // 3. Create problem statement
-      const problemPath = await this.createProblemStatement(event, workspace);
+      const { result, model, attempts } = await this.runWithFallback(config, problemPath, workspace, {
+        statusComment,
+        budget,
+        mode: event.command?.verb
+      });
 
-      // 4. Execute SWE-agent CLI
-      const result = await this.runSWEAgent(configPath, problemPath, workspace);
+      // 4. Parse results
+      await statusComment?.update('parsing');
+      // A local deployment writes no patch or trajectory diff, and a stopped agent may not have submitted yet
+      if (!this.resultParser.extractPatch(result)) {
+        result.diff = await this.collectWorkspaceDiff(workspace);
+      }
 
-      // 5. Parse results
       const parsed = this.resultParser.parse(result, {
         executionTime: Date.now() - startTime,
-        model: config.model_name,
+        model: model,
         event: event
       });
 
+      // Abandoned attempts still cost money, so report the cumulative cost
+      const abandonedCost = attempts
+        .filter(attempt => !attempt.final)
+        .reduce((total, attempt) => total + attempt.cost, 0);
+
+      const finalAttempt = attempts.find(attempt => attempt.final);
+      finalAttempt.cost = parsed.costEstimate;
+      finalAttempt.usage = parsed.usage;
+      parsed.attempts = attempts;
+      parsed.costEstimate += abandonedCost;
+      parsed.costBreakdown = this.buildCostBreakdown(attempts);
+
+      // 5. Publish the agent's changes as a branch for a pull request
+      if (config.create_pr && parsed.success && event.command?.mutating) {
+        const protectedPaths = this.repoConfig.findProtected(parsed.filesChanged, config.protected_paths);
+
+        if (protectedPaths.length > 0) {
+          logger.warn('Changes touch protected paths, not publishing', { paths: protectedPaths });
+          parsed.publishError = `Changes touch protected paths and were not pushed: ${protectedPaths.map(p => `\`${p}\``).join(', ')}`;
+        } else {
+          await statusComment?.update('publishing');
+          await this.publishChanges(event, workspace, result, parsed);
+        }
+      }
+
+      // Each comment of a submitted review gets its own verdict in its thread
+      if (event.reviewComments) {
+        parsed.reviewThreads = this.resultParser.assessReviewComments(event.reviewComments, parsed.filesChanged, parsed.branch);
+      }
+
       return parsed;
 
     } finally {
       // 6. Cleanup workspace
-      if (workspace) {
+      if (workspace && !preparedWorkspace) {
         await this.cleanup(workspace);
       }
     }
   }
 
-  async setupWorkspace(event) {
+  async prepareWorkspace(event, statusComment = null, options = {}) {
+    // Applies to every git command of the run, including the push when publishing
+    if (options.gitTimeout) {
+      this.gitTimeout = options.gitTimeout;
+    }
+
+    await statusComment?.update('cloning');
+    const workspace = await this.setupWorkspace(event, options);
+    logger.info('Workspace created', { workspace });
+
+    return workspace;
+  }
+
+  async loadRepositoryConfig(workspace, options = {}) {
+    const content = await this.readRepositoryFile(workspace, RepoConfig.CONFIG_PATH);
+    let repoConfig = null;
+
+    if (content === null) {
+      logger.info('No repository configuration found', { path: RepoConfig.CONFIG_PATH });
+    } else {
+      repoConfig = this.repoConfig.parse(content);
+      logger.info('Repository configuration loaded', { keys: Object.keys(repoConfig) });
+    }
+
+    const pricingContent = options.pricingFile
+      ? await this.readRepositoryFile(workspace, options.pricingFile)
+      : null;
+
+    if (pricingContent !== null) {
+      const pricing = this.pricingCatalogue.parse(pricingContent, options.pricingFile);
+      logger.info('Repository pricing loaded', { path: options.pricingFile, models: Object.keys(pricing) });
+      repoConfig = { ...repoConfig, pricing };
+    }
+
+    return repoConfig;
+  }
+
+  workspaceManager(repoPath, options = {}) {
+    return new WorkspaceManager(repoPath, this.processRunner, { timeout: this.gitTimeout, ...options });
+  }
+
+  async readRepositoryFile(workspace, filePath) {
+    const manager = this.workspaceManager(workspace);
+
+    if (await manager.isRepository()) {
+      // Read from the default branch so a pull request cannot rewrite its own configuration
+      return manager.readFile('origin/HEAD', filePath);
+    }
+
+    return fs.readFile(path.join(workspace, filePath), 'utf8').catch(() => null);
+  }
+
+  async runWithFallback(config, problemPath, workspace, options = {}) {
+    const { statusComment, budget, mode } = options;
+    const models = [config.model_name, ...(config.fallback_models || [])];
+    const attempts = [];
+    let lastRun = null;
+    let lastAttempt = null;
+
+    for (let i = 0; i < models.length; i++) {
+      const model = models[i];
+      let attemptConfig = config;
+
+      if (i > 0) {
+        try {
+          attemptConfig = { ...config, model_name: model, api_key: this.configBuilder.resolveApiKey(model) };
+        } catch (error) {
+          logger.warn('Skipping fallback model without API key', { model, error: error.message });
+          attempts.push({ model, reason: 'auth', error: error.message, cost: 0 });
+          continue;
+        }
+      }
+
+      const attemptLabel = models.length > 1 ? ` (model ${i + 1}/${models.length})` : '';
+      const statusDetail = `\`${model}\`${attemptLabel}`;
+      await statusComment?.update('running', statusDetail);
+
+      // Separate output directories keep each attempt's trajectory and usage apart
+      const configPath = await this.writeConfig(attemptConfig, workspace, { mode, problemPath });
+      const outputDir = path.join(this.artifactsDirectory(workspace), 'output', `attempt-${i + 1}`);
+      const result = await this.runSWEAgent(configPath, workspace, {
+        outputDir,
+        model,
+        budget,
+        envPassthrough: config.env_passthrough,
+        statusComment,
+        statusDetail,
+        progressInterval: config.progress_interval * 1000,
+        timeout: config.workspace_timeout * 1000
+      });
+      const reason = this.resultParser.classifyFailure(result);
+      const hasNextModel = i < models.length - 1;
+
+      lastRun = { result, model };
+
+      // Another model would hit the same time limit, and a cancelled run must stop
+      if (!reason || !hasNextModel || result.timedOut || result.cancelled) {
+        attempts.push({ model, reason, final: true, cost: 0 });
+        return { ...lastRun, attempts };
+      }
+
+      const error = this.resultParser.extractError(result);
+      const usage = this.resultParser.calculateUsage(model, result, true);
+      lastAttempt = { model, reason, error, cost: usage.cost, usage };
+      attempts.push(lastAttempt);
+
+      // Abandoned attempts count against the budget too
+      budget?.finishAttempt(lastAttempt.cost);
+      if (budget?.exceeded) {
+        logger.warn('Budget exhausted, not trying further fallback models', { model, total: budget.total });
+        break;
+      }
+
+      logger.warn('Provider failure, falling back to next model', { model, reason, error });
+    }
+
+    // Every remaining fallback was skipped; the last model that actually ran is the result
+    lastAttempt.final = true;
+
+    return { ...lastRun, attempts };
+  }
+
+  buildCostBreakdown(attempts) {
+    const byModel = new Map();
+
+    // Attempts skipped for missing credentials never ran and cost nothing
+    for (const attempt of attempts.filter(entry => entry.usage)) {
+      const entry = byModel.get(attempt.model) || {
+        model: attempt.model,
+        inputTokens: 0,
+        outputTokens: 0,
+        apiCalls: 0,
+        cost: 0,
+        source: attempt.usage.source,
+        priced: true
+      };
+
+      entry.inputTokens += attempt.usage.inputTokens || 0;
+      entry.outputTokens += attempt.usage.outputTokens || 0;
+      entry.apiCalls += attempt.usage.apiCalls || 0;
+      entry.cost += attempt.cost;
+      entry.priced = entry.priced && attempt.usage.priced !== false;
+      byModel.set(attempt.model, entry);
+    }
+
+    return [...byModel.values()];
+  }
+
+  async collectWorkspaceDiff(workspace) {
+    // A cancelled run's changes are still worth reporting
+    const manager = this.workspaceManager(workspace, { afterCancel: true });
+
+    if (!(await manager.isRepository())) {
+      return null;
+    }
+
+    try {
+      await manager.excludeFromCommit(RUNNER_ARTIFACTS);
+      return await manager.diff();
+    } catch (error) {
+      logger.warn('Failed to collect workspace diff', { error: error.message });
+      return null;
+    }
+  }
+
+  async publishChanges(event, workspace, result, parsed) {
+    const manager = this.workspaceManager(workspace);
+
+    if (!(await manager.isRepository())) {
+      logger.warn('Workspace is not a git repository, skipping pull request');
+      return null;
+    }
+
+    try {
+      await manager.excludeFromCommit(RUNNER_ARTIFACTS);
+
+      // Changes may already be in the working tree (local deployment) or only in the patch output
+      if (!(await manager.hasChanges())) {
+        const patch = this.resultParser.extractPatch(result);
+        if (!patch) {
+          logger.info('No changes produced, skipping pull request');
+          return null;
+        }
+        await manager.applyPatch(patch);
+      }
+
+      await manager.configureGit();
+
+      // PR-triggered runs commit onto the checked out PR head instead of a new branch
+      if (event.pullRequest) {
+        const sha = await manager.commit(manager.generateCommitMessage(event, parsed));
+        parsed.branch = await this.pushToPullRequest(event, manager, sha);
+        return parsed.branch;
+      }
+
+      // Worktrees are checked out detached, so HEAD names no branch to open the pull request against
+      const base = this.worktrees.has(workspace)
+        ? this.defaultBranch(event)
+        : await manager.currentBranch();
+      const branchName = manager.branchName(event);
+
+      await manager.createBranch(branchName);
+      const sha = await manager.commit(manager.generateCommitMessage(event, parsed));
+      await manager.push(branchName, process.env.GITHUB_TOKEN);
+
+      parsed.branch = { name: branchName, base, sha };
+      return parsed.branch;
+
+    } catch (error) {
+      logger.error('Failed to publish changes', { error: error.message });
+      parsed.publishError = error.message;
+      return null;
+    }
+  }
+
+  async pushToPullRequest(event, manager, sha) {
+    const { head, base, maintainer_can_modify: maintainerCanModify } = event.pullRequest;
+    const token = process.env.GITHUB_TOKEN;
+
+    // A deleted fork has no head repository, so nothing can be pushed back to it
+    const isFork = !head.repo || head.repo.full_name !== base.repo.full_name;
+
+    if (!isFork || (maintainerCanModify && head.repo)) {
+      try {
+        let remote = 'origin';
+        if (isFork) {
+          await manager.addRemote('fork', head.repo.clone_url);
+          remote = 'fork';
+        }
+
+        await manager.push(head.ref, token, remote);
+        return { name: head.ref, sha, pushedToPullRequest: true };
+
+      } catch (error) {
+        logger.warn('Pull request branch is not writable, opening a stacked pull request', {
+          branch: head.ref,
+          error: error.message
+        });
+      }
+    }
+
+    // Fork branches don't exist in the base repository, so stack fork fixes onto the PR's base
+    const branchName = manager.branchName(event);
+    await manager.push(branchName, token);
+
+    return { name: branchName, base: isFork ? base.ref : head.ref, sha, stacked: true };
+  }
+
+  async setupWorkspace(event, options = {}) {
+    const mode = options.mode || 'clone';
+
+    if (!WORKSPACE_MODES.includes(mode)) {
+      throw new Error(`Unknown workspace_mode "${mode}"; expected one of ${WORKSPACE_MODES.join(', ')}`);
+    }
+
+    if (mode === 'sparse' && !(options.sparsePaths?.length > 0)) {
+      throw new Error('workspace_mode "sparse" needs at least one path in sparse_paths');
+    }
+
     // Create temporary workspace
     const workspaceBase = path.join(os.tmpdir(), 'swe-workspace');
     const workspace = path.join(workspaceBase, `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
@@ -59,67 +401,160 @@ class SWEAgentRunner {
 
     // Clone repository if this is a real issue/PR
     if (event.repository) {
-      const repoUrl = event.repository.clone_url;
       const repoPath = path.join(workspace, 'repo');
+      const manager = this.workspaceManager(repoPath);
+      this.runDirectories.set(repoPath, workspace);
+      const token = process.env.GITHUB_TOKEN;
+      const started = Date.now();
+      let depth;
 
       try {
-        // Simple git clone
-        await this.executeCommand(`git clone ${repoUrl} ${repoPath}`, { cwd: workspace });
-        logger.info('Repository cloned', { repo: event.repository.full_name });
-        return repoPath;
+        depth = await this.timed(mode, 'clone', () => this.populateWorkspace(manager, event, { ...options, mode }, token));
+        logger.info('Repository cloned', { repo: event.repository.full_name, mode });
       } catch (error) {
-        logger.warn('Failed to clone repository, using workspace only', { error: error.message });
-        return workspace;
+        // An empty workspace would let the agent "succeed" without touching the code
+        const reason = token ? error.message.split(token).join('***') : error.message;
+        await this.cleanup(repoPath);
+
+        // A clone stopped by cancellation says nothing about the token or the repository
+        if (error.cancelled) {
+          throw error;
+        }
+
+        const cloneError = new Error(`Failed to clone ${event.repository.full_name}: ${reason}`);
+        cloneError.code = 'ECLONE';
+        cloneError.repository = event.repository.full_name;
+        cloneError.reason = reason;
+        throw cloneError;
       }
+
+      // Running on the default branch would fix the wrong code, so a failed checkout is fatal
+      if (event.pullRequest) {
+        try {
+          await this.timed(mode, 'checkout', () => manager.checkoutPullRequest(event.pullRequest, token, { depth }));
+        } catch (error) {
+          const reason = token ? error.message.split(token).join('***') : error.message;
+          // Also unregisters a worktree from the actions/checkout workspace
+          await this.cleanup(repoPath);
+
+          if (error.cancelled) {
+            throw error;
+          }
+
+          const checkoutError = new Error(`Failed to check out pull request #${event.pullRequest.number}: ${reason}`);
+          checkoutError.code = 'ECHECKOUT';
+          checkoutError.pullRequest = event.pullRequest.number;
+          checkoutError.reason = reason;
+          throw checkoutError;
+        }
+      }
+
+      logger.debug('Workspace ready', { mode, durationMs: Date.now() - started });
+      return repoPath;
     }
 
     return workspace;
   }
 
-  async writeConfig(config, workspace) {
-    const configPath = path.join(workspace, 'swe-agent-config.yaml');
+  // Returns the history depth in use, so later fetches stay equally shallow
+  async populateWorkspace(manager, event, options, token) {
+    const { mode, depth, sparsePaths } = options;
+
+    if (mode === 'worktree') {
+      const source = process.env.GITHUB_WORKSPACE;
+      const checkout = source && manager.checkoutManager(source);
+
+      if (checkout && await checkout.isRepository()) {
+        // Deepening a shallow actions/checkout clone would fetch its whole history
+        const shallow = await checkout.git(['rev-parse', '--is-shallow-repository']) === 'true';
+        const worktreeDepth = shallow ? depth || 1 : undefined;
+
+        await manager.addWorktree(source, this.defaultBranch(event), token, { depth: worktreeDepth });
+        this.worktrees.set(manager.repoPath, source);
+        return worktreeDepth;
+      }
+
+      logger.warn('GITHUB_WORKSPACE is not a git checkout, cloning instead', { path: source || null });
+    }
+
+    const cloneDepth = mode === 'shallow' || mode === 'sparse' ? depth : undefined;
+
+    await manager.clone(manager.repositoryUrl(event.repository), token, {
+      depth: cloneDepth,
+      sparsePaths: mode === 'sparse' ? sparsePaths : []
+    });
+
+    return cloneDepth;
+  }
+
+  defaultBranch(event) {
+    return event.repository.default_branch || 'main';
+  }
+
+  async timed(mode, step, fn) {
+    const started = Date.now();
+
+    try {
+      return await fn();
+    } finally {
+      logger.debug('Workspace step finished', { mode, step, durationMs: Date.now() - started });
+    }
+  }
 
-    // Generate YAML config for SWE-agent
-    const yamlConfig = `
-agent:
-  model:
-    name: ${config.model_name}
-    per_instance_cost_limit: ${config.max_cost}
-  max_iterations: 30
+  // The agent's "git add -A" would pick up anything written inside the repository
+  artifactsDirectory(workspace) {
+    return this.runDirectories.get(workspace) || workspace;
+  }
 
-env:
-  workspace_base: ${workspace}
-  verbose: true
+  async writeConfig(config, workspace, options = {}) {
+    const configPath = path.join(this.artifactsDirectory(workspace), 'swe-agent-config.yaml');
 
-tools: [${config.tools.join(', ')}]
-`.trim();
+    const yamlConfig = this.configGenerator.toYaml(config, {
+      mode: options.mode,
+      problemPath: options.problemPath,
+      repoPath: workspace
+    });
 
     await fs.writeFile(configPath, yamlConfig);
-    logger.info('Config written', { configPath });
+    logger.info('Config written', { configPath, mode: options.mode });
 
     return configPath;
   }
 
-  async createProblemStatement(event, workspace) {
-    const problemPath = path.join(workspace, 'problem.md');
+  async createProblemStatement(event, workspace, options = {}) {
+    const problemPath = path.join(this.artifactsDirectory(workspace), 'problem.md');
 
+    await fs.writeFile(problemPath, this.formatProblemStatement(event, options));
+    logger.info('Problem statement created', { problemPath });
+
+    return problemPath;
+  }
+
+  formatProblemStatement(event, options = {}) {
     let problemStatement = '';
+    const command = event.command || {};
 
     switch (event.type) {
-    case 'issue_comment':
+    case 'issue_comment': {
+      const conversation = this.conversationBuilder.render(event.conversation, {
+        currentCommentId: event.comment.id,
+        budgetTokens: options.contextTokens
+      });
+
       problemStatement = `# Issue Comment Request
 
 **Issue Title:** ${event.issue.title}
 
 **Issue Description:**
 ${event.issue.body || 'No description provided'}
+${conversation ? `\n## Earlier Conversation\n${conversation}\n` : ''}
+## Current Request (from @${event.comment.user?.login || 'unknown'})
+${command.instructions || event.comment.body}
 
-**User Request:**
-${event.comment.body}
-
-**Task:** Please analyze the issue and provide a solution based on the user's request.
+**Task:** ${command.task || 'Please analyze the issue and provide a solution based on the user\'s request.'}
 `;
       break;
+    }
 
     case 'issue':
       problemStatement = `# New Issue Analysis
@@ -145,6 +580,52 @@ ${event.pullRequest.body || 'No description provided'}
 `;
       break;
 
+    case 'pull_request_review_comment': {
+      const { path: filePath, diff_hunk: diffHunk } = event.comment;
+      const lines = this.describeCommentLines(event.comment);
+
+      problemStatement = `# Inline Review Comment Request
+
+**PR Title:** ${event.pullRequest.title}
+
+**File:** \`${filePath}\`
+**Lines:** ${lines}
+
+**Diff Hunk:**
+${this.codeFence(diffHunk || '', 'diff')}
+
+**User Request:**
+${command.instructions || event.comment.body}
+
+**Task:** ${command.task || 'Please address the review comment.'}
+
+**Scope:** Limit the work to \`${filePath}\` (${lines}) unless the request cannot be met otherwise.
+`;
+      break;
+    }
+
+    case 'pull_request_review': {
+      const comments = (event.reviewComments || []).map((comment, index) => `### ${index + 1}. \`${comment.path}\` (${this.describeCommentLines(comment)})
+
+${this.codeFence(comment.diff_hunk || '', 'diff')}
+
+${comment.body}`);
+
+      problemStatement = `# Pull Request Review Changes
+
+**PR Title:** ${event.pullRequest.title}
+
+**Review Summary:**
+${command.instructions || event.review.body || 'No summary provided'}
+
+## Review Comments
+${comments.join('\n\n') || 'The review has no inline comments.'}
+
+**Task:** ${command.task || 'Please address the review.'} Address every review comment above in one set of changes.
+`;
+      break;
+    }
+
     default:
       problemStatement = `# General Code Analysis
 
@@ -152,14 +633,109 @@ ${event.pullRequest.body || 'No description provided'}
 `;
     }
 
-    await fs.writeFile(problemPath, problemStatement);
-    logger.info('Problem statement created', { problemPath });
+    if (event.pullRequestContext) {
+      problemStatement += `\n${this.formatPullRequestContext(event.pullRequest, event.pullRequestContext)}`;
+    }
 
-    return problemPath;
+    return problemStatement;
+  }
+
+  formatPullRequestContext(pullRequest, context) {
+    const { files = [], commits = [] } = context;
+    const { base, head } = pullRequest;
+
+    const commitLines = commits.slice(-MAX_COMMITS).map(commit =>
+      `- ${commit.sha.slice(0, 7)} ${commit.commit.message.split('\n')[0]}`
+    );
+    if (commits.length > MAX_COMMITS) {
+      commitLines.unshift(`- _${commits.length - MAX_COMMITS} older commits not shown_`);
+    }
+
+    const fileLines = files.map(file =>
+      `- \`${file.filename}\` (${file.status}, +${file.additions}/-${file.deletions})`
+    );
+
+    // Per-file and total caps keep one huge generated file from crowding out the rest
+    let remaining = MAX_TOTAL_DIFF;
+    const diffs = [];
+    const omitted = [];
+
+    for (const file of files) {
+      if (!file.patch) {
+        omitted.push(`\`${file.filename}\` (no textual diff)`);
+        continue;
+      }
+
+      if (remaining <= 0) {
+        omitted.push(`\`${file.filename}\` (diff size limit reached)`);
+        continue;
+      }
+
+      const limit = Math.min(MAX_FILE_DIFF, remaining);
+      const patch = file.patch.length > limit
+        ? `${file.patch.slice(0, limit)}\n... (${file.patch.length - limit} more characters truncated)`
+        : file.patch;
+
+      diffs.push(`--- a/${file.previous_filename || file.filename}\n+++ b/${file.filename}\n${patch}`);
+      remaining -= Math.min(file.patch.length, limit);
+    }
+
+    return `## Pull Request Changes
+
+**Base:** \`${base.ref}\` ← **Head:** \`${head.ref}\` (${(head.sha || '').slice(0, 7)})
+
+### Commits
+${commitLines.join('\n') || '_No commits_'}
+
+### Changed Files
+${fileLines.join('\n') || '_No files changed_'}
+
+### Diff
+${this.codeFence(diffs.join('\n'), 'diff')}
+${omitted.length > 0 ? `\nDiff not shown for: ${omitted.join(', ')}\n` : ''}`;
+  }
+
+  describeCommentLines(comment) {
+    // Outdated comments only keep their original position
+    const end = comment.line ?? comment.original_line;
+    const start = comment.start_line ?? comment.original_start_line ?? end;
+
+    if (!end) {
+      return 'whole file';
+    }
+
+    const range = start && start !== end ? `${start}-${end}` : `${end}`;
+    return `${range} (${comment.side === 'LEFT' ? 'base' : 'changed'} version)`;
+  }
+
+  codeFence(content, language = '') {
+    // The fence has to be longer than any backtick run inside the content
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+    return `${fence}${language}\n${content}\n${fence}`;
+  }
+
+  async estimateRunCost(event, config, workspace) {
+    const manager = this.workspaceManager(workspace);
+    const repository = (await manager.isRepository())
+      ? await manager.measure()
+      : { files: 0, bytes: 0 };
+
+    // The confirmation gate has to see the repository's prices, not just the built-in ones
+    this.configBuilder.providers.pricing.setOverrides(config.pricing);
+    const estimate = this.configBuilder.estimateRunCost(config, {
+      problemChars: this.formatProblemStatement(event, { contextTokens: config.context_token_budget }).length,
+      repoFiles: repository.files
+    });
+
+    logger.info('Run cost estimated', { ...estimate, repoBytes: repository.bytes });
+
+    return { ...estimate, repoBytes: repository.bytes };
   }
 
-  async runSWEAgent(configPath, problemPath, workspace) {
-    const outputDir = path.join(workspace, 'output');
+  async runSWEAgent(configPath, workspace, options = {}) {
+    const outputDir = options.outputDir || path.join(this.artifactsDirectory(workspace), 'output');
     await fs.mkdir(outputDir, { recursive: true });
 
     // Check if we're in test mode
@@ -168,27 +744,38 @@ ${event.pullRequest.body || 'No description provided'}
       return this.simulateSWEAgentForTest(workspace);
     }
 
-    const cmd = [
-      'sweagent', 'run',
+    // The problem statement and repository are part of the generated config
+    const args = [
+      'run',
       '--config', configPath,
-      '--problem_statement.path', problemPath,
-      '--env.repo.path', workspace
+      '--output_dir', outputDir
     ];
 
-    logger.info('Executing SWE-agent', { command: cmd.join(' ') });
+    logger.info('Executing SWE-agent', { command: 'sweagent', args });
+
+    const reporter = new ProgressReporter(options.statusComment, {
+      detail: options.statusDetail,
+      interval: options.progressInterval
+    });
+    const tracker = new StepTracker({ onProgress: event => reporter.progress(event) });
+
+    const controller = new AbortController();
+    const stopWatching = options.budget
+      ? this.watchBudget(outputDir, options.model, options.budget, controller)
+      : () => {};
 
     try {
-      const result = await this.executeCommand(cmd.join(' '), {
+      const result = await this.executeCommand('sweagent', args, {
         cwd: workspace,
-        timeout: 300000, // 5 minutes
-        env: {
-          // Pass through API keys from environment
-          OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-          ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-          DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
-          GROQ_API_KEY: process.env.GROQ_API_KEY,
-          OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY,
-          AZURE_OPENAI_API_KEY: process.env.AZURE_OPENAI_API_KEY
+        timeout: options.timeout || DEFAULT_AGENT_TIMEOUT,
+        signal: controller.signal,
+        // Only provider credentials, base toolchain variables and the env_passthrough allowlist
+        env: buildChildEnvironment(options.envPassthrough),
+        inheritEnv: false,
+        // Step boundaries open a log group before the line announcing them is echoed
+        onLine: line => {
+          tracker.push(line);
+          reporter.line(line);
         }
       });
 
@@ -204,6 +791,40 @@ ${event.pullRequest.body || 'No description provided'}
       };
 
     } catch (error) {
+      // Partial trajectories still carry cost and any patch worth salvaging
+      const output = await this.readOutputFiles(outputDir);
+
+      if (options.budget?.exceeded) {
+        logger.warn('SWE-agent stopped at budget limit', { total: options.budget.total });
+
+        return {
+          success: false,
+          budgetExceeded: true,
+          error: `Budget limit of $${options.budget.maxCost.toFixed(2)} reached; SWE-agent was stopped`,
+          stdout: error.stdout || '',
+          stderr: error.stderr || '',
+          output: output,
+          workspace: workspace
+        };
+      }
+
+      if (error.timedOut || error.cancelled) {
+        logger.warn(error.timedOut ? 'SWE-agent timed out' : 'SWE-agent cancelled', { error: error.message });
+
+        return {
+          success: false,
+          timedOut: !!error.timedOut,
+          cancelled: !!error.cancelled,
+          error: error.timedOut
+            ? `SWE-agent did not finish within the ${(options.timeout || DEFAULT_AGENT_TIMEOUT) / 1000}s workspace_timeout and was stopped`
+            : 'SWE-agent was stopped because the workflow run was cancelled',
+          stdout: error.stdout || '',
+          stderr: error.stderr || '',
+          output: output,
+          workspace: workspace
+        };
+      }
+
       logger.error('SWE-agent execution failed', {
         error: error.message,
         stderr: error.stderr
@@ -214,11 +835,45 @@ ${event.pullRequest.body || 'No description provided'}
         error: error.message,
         stdout: error.stdout || '',
         stderr: error.stderr || '',
+        output: output,
         workspace: workspace
       };
+
+    } finally {
+      stopWatching();
+      await reporter.finish();
     }
   }
 
+  watchBudget(outputDir, model, budget, controller) {
+    let polling = false;
+
+    const poll = async () => {
+      // Skip a tick rather than overlap reads of a large trajectory
+      if (polling) {
+        return;
+      }
+
+      polling = true;
+      try {
+        const usage = this.resultParser.trajectoryUsage(model, { output: await this.readOutputFiles(outputDir) });
+        if (usage) {
+          budget.update(usage.cost);
+        }
+
+        if (budget.exceeded && !controller.signal.aborted) {
+          logger.warn('Stopping SWE-agent: budget exhausted', { total: budget.total, maxCost: budget.maxCost });
+          controller.abort();
+        }
+      } finally {
+        polling = false;
+      }
+    };
+
+    const timer = setInterval(poll, this.budgetPollInterval);
+    return () => clearInterval(timer);
+  }
+
   async simulateSWEAgentForTest(workspace) {
     // Simulate successful SWE-agent execution for tests
     await new Promise(resolve => setTimeout(resolve, 100)); // Brief delay to simulate work
@@ -245,21 +900,7 @@ SWE-agent analysis completed.`,
     const output = {};
 
     try {
-      const files = await fs.readdir(outputDir);
-
-      for (const file of files) {
-        const filePath = path.join(outputDir, file);
-        const stats = await fs.stat(filePath);
-
-        if (stats.isFile() && file.endsWith('.json')) {
-          const content = await fs.readFile(filePath, 'utf8');
-          try {
-            output[file] = JSON.parse(content);
-          } catch (e) {
-            output[file] = content;
-          }
-        }
-      }
+      await this.collectOutputFiles(outputDir, output);
     } catch (error) {
       logger.warn('Failed to read output files', { error: error.message });
     }
@@ -267,60 +908,50 @@ SWE-agent analysis completed.`,
     return output;
   }
 
-  async executeCommand(command, options = {}) {
-    return new Promise((resolve, reject) => {
-      const child = spawn(command, {
-        shell: true,
-        cwd: options.cwd || process.cwd(),
-        env: { ...process.env, ...options.env }
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+  async collectOutputFiles(dir, output) {
+    // SWE-agent nests results per instance, so walk the whole output tree
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const filePath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        await this.collectOutputFiles(filePath, output);
+      } else if (entry.isFile() && (entry.name.endsWith('.json') || entry.name.endsWith('.traj'))) {
+        const content = await fs.readFile(filePath, 'utf8');
+        try {
+          output[entry.name] = JSON.parse(content);
+        } catch (e) {
+          output[entry.name] = content;
+        }
+      } else if (entry.isFile() && entry.name.endsWith('.patch')) {
+        output[entry.name] = await fs.readFile(filePath, 'utf8');
+      }
+    }
+  }
 
-      // Handle timeout
-      const timeout = options.timeout || 120000; // 2 minutes default
-      const timer = setTimeout(() => {
-        child.kill();
-        reject(new Error(`Command timed out after ${timeout}ms`));
-      }, timeout);
+  async executeCommand(command, args = [], options = {}) {
+    return this.processRunner.run(command, args, options);
+  }
 
-      child.on('close', (code) => {
-        clearTimeout(timer);
+  async cleanup(workspace) {
+    const source = this.worktrees.get(workspace);
 
-        if (code === 0) {
-          resolve({ stdout, stderr, code });
-        } else {
-          const error = new Error(`Command failed with exit code ${code}`);
-          error.stdout = stdout;
-          error.stderr = stderr;
-          error.code = code;
-          reject(error);
-        }
+    if (source) {
+      // Unregister the worktree, or the original checkout keeps a dangling entry
+      this.worktrees.delete(workspace);
+      await this.workspaceManager(workspace, { afterCancel: true }).removeWorktree(source).catch(error => {
+        logger.warn('Failed to remove worktree', { workspace, error: error.message });
       });
+    }
 
-      child.on('error', (error) => {
-        clearTimeout(timer);
-        error.stdout = stdout;
-        error.stderr = stderr;
-        reject(error);
-      });
-    });
-  }
+    // The run directory holds the repository and the runner's files next to it
+    const directory = this.artifactsDirectory(workspace);
+    this.runDirectories.delete(workspace);
 
-  async cleanup(workspace) {
     try {
-      // Remove workspace directory
-      await fs.rm(workspace, { recursive: true, force: true });
-      logger.info('Workspace cleaned up', { workspace });
+      await fs.rm(directory, { recursive: true, force: true });
+      logger.info('Workspace cleaned up', { workspace: directory });
     } catch (error) {
       logger.warn('Failed to cleanup workspace', {
         workspace,
@@ -330,4 +961,6 @@ SWE-agent analysis completed.`,
   }
 }
 
+SWEAgentRunner.WORKSPACE_MODES = WORKSPACE_MODES;
+
 module.exports = SWEAgentRunner;
@@ -0,0 +1,328 @@
+/**
+ * Workspace Manager
+ * Git operations for turning the agent's changes into a pushed branch
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ProcessRunner = require('./process-runner');
+const logger = require('../utils/logger');
+
+const GIT_USER_NAME = 'github-actions[bot]';
+const GIT_USER_EMAIL = '41898282+github-actions[bot]@users.noreply.github.com';
+const MAX_GIT_OUTPUT = 50 * 1024 * 1024;
+
+// Fetches of large repositories can take a while on a shared runner
+const GIT_TIMEOUT = 10 * 60 * 1000;
+
+// The agent can write .git/hooks, so none of them may run while we commit or push
+const NO_HOOKS = ['core.hooksPath', '/dev/null'];
+
+class WorkspaceManager {
+  constructor(repoPath, processRunner = new ProcessRunner(), options = {}) {
+    this.repoPath = repoPath;
+    this.processRunner = processRunner;
+    this.timeout = options.timeout || GIT_TIMEOUT;
+    // Settings applied to every command, before any given per command
+    this.config = options.config || [];
+    // Cleanup and salvage commands still run after the workflow run is cancelled
+    this.afterCancel = !!options.afterCancel;
+  }
+
+  async git(args, options = {}) {
+    let result;
+
+    try {
+      result = await this.processRunner.run('git', args, {
+        cwd: options.cwd || this.repoPath,
+        env: this.configEnvironment([...this.config, ...(options.config || [])]),
+        stdin: options.stdin,
+        timeout: this.timeout,
+        maxOutput: MAX_GIT_OUTPUT,
+        afterCancel: this.afterCancel
+      });
+    } catch (error) {
+      const gitError = new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+      gitError.stderr = error.stderr;
+      gitError.timedOut = error.timedOut;
+      gitError.cancelled = error.cancelled;
+      throw gitError;
+    }
+
+    // A clipped diff or listing would be silently wrong, so refuse it outright
+    if (result.truncated) {
+      throw new Error(`git ${args[0]} produced more than ${MAX_GIT_OUTPUT} bytes of output`);
+    }
+
+    return result.stdout.trim();
+  }
+
+  async isRepository() {
+    try {
+      await this.git(['rev-parse', '--is-inside-work-tree']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  repositoryUrl(repository, serverUrl = process.env.GITHUB_SERVER_URL) {
+    // GITHUB_SERVER_URL points at the GitHub Enterprise host when the action runs there
+    if (serverUrl) {
+      return `${serverUrl.replace(/\/+$/, '')}/${repository.full_name}.git`;
+    }
+
+    return repository.clone_url || `https://github.com/${repository.full_name}.git`;
+  }
+
+  async clone(url, token, options = {}) {
+    const { depth, sparsePaths = [] } = options;
+    const parent = path.dirname(this.repoPath);
+    await fs.mkdir(parent, { recursive: true });
+
+    const args = ['clone'];
+    if (depth) {
+      args.push('--depth', String(depth));
+    }
+    if (sparsePaths.length > 0) {
+      // Starts with only the top-level files checked out; the paths are added below
+      args.push('--sparse');
+    }
+
+    await this.git([...args, '--', url, this.repoPath], {
+      cwd: parent,
+      config: this.authConfig(token)
+    });
+
+    if (sparsePaths.length > 0) {
+      // Paths go through stdin so one starting with "-" is never taken for an option
+      await this.git(['sparse-checkout', 'set', '--stdin'], { stdin: `${sparsePaths.join('\n')}\n` });
+    }
+  }
+
+  async addWorktree(sourcePath, defaultBranch, token, options = {}) {
+    const source = this.checkoutManager(sourcePath);
+    const depth = options.depth ? ['--depth', String(options.depth)] : [];
+
+    // actions/checkout fetches only the triggering ref, so make sure the default branch is there
+    await source.git([
+      'fetch', ...depth, 'origin',
+      `+refs/heads/${defaultBranch}:refs/remotes/origin/${defaultBranch}`
+    ], { config: this.authConfig(token) });
+    await source.git(['remote', 'set-head', 'origin', defaultBranch]);
+
+    // A detached worktree leaves the original checkout's files and branch untouched
+    await source.git(['worktree', 'add', '--detach', this.repoPath, `origin/${defaultBranch}`]);
+  }
+
+  async removeWorktree(sourcePath) {
+    await this.checkoutManager(sourcePath).git(['worktree', 'remove', '--force', this.repoPath]);
+  }
+
+  checkoutManager(sourcePath) {
+    // The Docker action runs as root in a checkout owned by the runner user, which git refuses without safe.directory
+    return new WorkspaceManager(sourcePath, this.processRunner, {
+      timeout: this.timeout,
+      config: [['safe.directory', path.resolve(sourcePath)]],
+      afterCancel: this.afterCancel
+    });
+  }
+
+  authConfig(token, serverUrl = process.env.GITHUB_SERVER_URL) {
+    if (!token) {
+      return [];
+    }
+
+    // Pass credentials through git's environment config so they never appear in argv, URLs or .git/config
+    const credentials = Buffer.from(`x-access-token:${token}`).toString('base64');
+    const header = `AUTHORIZATION: basic ${credentials}`;
+
+    // Scoped to the server, so a remote URL the agent rewrote cannot carry the token to another host.
+    // actions/checkout persists its own header under the same key; the empty value clears it first
+    const scoped = `http.${new URL(serverUrl || 'https://github.com').origin}/.extraheader`;
+
+    return [
+      [scoped, ''],
+      [scoped, header]
+    ];
+  }
+
+  // Takes [key, value] entries rather than an object, since a key may need to appear more than once
+  configEnvironment(entries) {
+    if (entries.length === 0) {
+      return undefined;
+    }
+
+    const env = { GIT_CONFIG_COUNT: String(entries.length) };
+
+    entries.forEach(([key, value], index) => {
+      env[`GIT_CONFIG_KEY_${index}`] = key;
+      env[`GIT_CONFIG_VALUE_${index}`] = value;
+    });
+
+    return env;
+  }
+
+  async checkoutPullRequest(pullRequest, token, options = {}) {
+    const { number, head } = pullRequest;
+    const depth = options.depth ? ['--depth', String(options.depth)] : [];
+
+    // pull/N/head exists in the base repository for fork and same-repo PRs alike
+    await this.git(['fetch', ...depth, 'origin', `pull/${number}/head`], { config: this.authConfig(token) });
+    // Detached, since a worktree shares its branches with the user's checkout; push() names the branch itself
+    await this.git(['checkout', '--detach', 'FETCH_HEAD']);
+
+    const sha = await this.git(['rev-parse', 'HEAD']);
+    if (head.sha && sha !== head.sha) {
+      logger.warn('Pull request head moved since the event was triggered', {
+        expected: head.sha,
+        actual: sha
+      });
+    }
+
+    logger.info('Pull request checked out', { number, branch: head.ref, sha });
+    return sha;
+  }
+
+  async readFile(ref, filePath) {
+    try {
+      return await this.git(['show', `${ref}:${filePath}`]);
+    } catch (error) {
+      // Missing file or ref; callers treat both as "not configured"
+      return null;
+    }
+  }
+
+  async measure() {
+    // Sizes come from the tree, so nothing outside version control is counted
+    const listing = await this.git(['ls-tree', '-r', '-l', 'HEAD']);
+    const sizes = listing
+      .split('\n')
+      .map(line => parseInt(line.split(/\s+/)[3], 10))
+      .filter(size => !isNaN(size));
+
+    return {
+      files: sizes.length,
+      bytes: sizes.reduce((total, size) => total + size, 0)
+    };
+  }
+
+  async addRemote(name, url) {
+    await this.git(['remote', 'add', name, url]);
+  }
+
+  async configureGit() {
+    // Applied per command, since a worktree shares .git/config with the checkout it came from
+    this.commitConfig = [
+      ['user.name', GIT_USER_NAME],
+      ['user.email', GIT_USER_EMAIL],
+      ['core.autocrlf', 'false'],
+      NO_HOOKS
+    ];
+  }
+
+  async excludeFromCommit(paths) {
+    // Keep runner artifacts (config, problem statement, outputs) out of commits
+    const excludePath = path.resolve(this.repoPath, await this.git(['rev-parse', '--git-path', 'info/exclude']));
+    await fs.mkdir(path.dirname(excludePath), { recursive: true });
+
+    const existing = await fs.readFile(excludePath, 'utf8').catch(() => '');
+    const patterns = paths
+      .map(p => `/${p}`)
+      .filter(pattern => !existing.split('\n').includes(pattern));
+
+    if (patterns.length > 0) {
+      await fs.appendFile(excludePath, `\n${patterns.join('\n')}\n`);
+    }
+  }
+
+  async hasChanges() {
+    const status = await this.git(['status', '--porcelain']);
+    return status.length > 0;
+  }
+
+  async diff() {
+    // Mark untracked files as intended so new files show up in the diff
+    await this.git(['add', '--all', '--intent-to-add']);
+    return this.git(['diff', '--find-renames', 'HEAD']);
+  }
+
+  async currentBranch() {
+    return this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  }
+
+  async applyPatch(patch) {
+    const patchPath = path.join(os.tmpdir(), `swe-agent-${Date.now()}-${process.pid}.patch`);
+    const content = patch.endsWith('\n') ? patch : `${patch}\n`;
+
+    await fs.writeFile(patchPath, content);
+
+    try {
+      await this.git(['apply', '--check', '--whitespace=nowarn', patchPath]);
+      await this.git(['apply', '--whitespace=nowarn', patchPath]);
+      logger.info('Patch applied to workspace');
+    } finally {
+      await fs.rm(patchPath, { force: true });
+    }
+  }
+
+  async createBranch(branchName) {
+    await this.git(['checkout', '-b', branchName]);
+    logger.info('Branch created', { branch: branchName });
+    return branchName;
+  }
+
+  async commit(message) {
+    await this.git(['add', '-A'], { config: this.commitConfig });
+    await this.git(['commit', '-m', message], { config: this.commitConfig });
+    const sha = await this.git(['rev-parse', 'HEAD']);
+
+    logger.info('Changes committed', { sha });
+    return sha;
+  }
+
+  async push(branchName, token, remote = 'origin') {
+    await this.git(['push', remote, `HEAD:refs/heads/${branchName}`], {
+      config: [...this.authConfig(token), NO_HOOKS]
+    });
+    logger.info('Branch pushed', { branch: branchName, remote });
+  }
+
+  branchName(event) {
+    const suffix = Date.now().toString(36);
+    return `swe-agent/${event.type.replace(/_/g, '-')}-${event.issueNumber || 'run'}-${suffix}`;
+  }
+
+  generateCommitMessage(event, result) {
+    const title = event.issue?.title || event.pullRequest?.title;
+    const verb = event.command?.verb === 'test' ? 'Add tests for' : 'Fix';
+
+    let message = title
+      ? `${verb} #${event.issueNumber}: ${title}`
+      : 'Apply SWE-agent changes';
+
+    // Subject lines beyond 72 characters are truncated by most git tooling
+    if (message.length > 72) {
+      message = `${message.slice(0, 69)}...`;
+    }
+
+    const files = (result.filesChanged || []).map(file => `- ${file.path}`);
+
+    if (result.summary) {
+      message += `\n\n${result.summary}`;
+    }
+
+    if (files.length > 0) {
+      message += `\n\nFiles changed:\n${files.join('\n')}`;
+    }
+
+    message += '\n\nGenerated by SWE-Agent Resolver';
+
+    return message;
+  }
+}
+
+WorkspaceManager.DEFAULT_TIMEOUT = GIT_TIMEOUT;
+
+module.exports = WorkspaceManager;
@@ -0,0 +1,71 @@
+/**
+ * Authorization Policy
+ * Decide whether the user behind an event may spend the API budget
+ */
+
+const logger = require('../utils/logger');
+
+// Values GitHub reports in author_association; "*" admits everyone
+const ASSOCIATIONS = [
+  'OWNER',
+  'MEMBER',
+  'COLLABORATOR',
+  'CONTRIBUTOR',
+  'FIRST_TIME_CONTRIBUTOR',
+  'FIRST_TIMER',
+  'MANNEQUIN',
+  'NONE',
+  '*'
+];
+
+const DEFAULT_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+class AuthorizationPolicy {
+  constructor(isTeamMember = async () => false) {
+    // (org, teamSlug, username) => Promise<boolean>, usually backed by the GitHub API
+    this.isTeamMember = isTeamMember;
+  }
+
+  async authorize(actor, association, policy = {}) {
+    const login = (actor || '').toLowerCase();
+    const {
+      allowed_associations: associations = DEFAULT_ASSOCIATIONS,
+      allowed_users: users = [],
+      allowed_teams: teams = [],
+      denied_users: denied = []
+    } = policy;
+
+    // The denylist wins over every allowlist
+    if (denied.some(user => user.toLowerCase() === login)) {
+      return { allowed: false, reason: 'denied' };
+    }
+
+    if (associations.includes('*') || (association && associations.includes(association))) {
+      return { allowed: true, reason: 'association' };
+    }
+
+    if (users.some(user => user.toLowerCase() === login)) {
+      return { allowed: true, reason: 'user' };
+    }
+
+    for (const team of teams) {
+      const [org, slug] = team.split('/');
+
+      try {
+        if (await this.isTeamMember(org, slug, actor)) {
+          return { allowed: true, reason: 'team', team };
+        }
+      } catch (error) {
+        // An unreadable team grants nothing, but the other teams may still match
+        logger.warn('Team membership check failed', { team, error: error.message });
+      }
+    }
+
+    return { allowed: false, reason: 'not_allowed' };
+  }
+}
+
+AuthorizationPolicy.ASSOCIATIONS = ASSOCIATIONS;
+AuthorizationPolicy.DEFAULT_ASSOCIATIONS = DEFAULT_ASSOCIATIONS;
+
+module.exports = AuthorizationPolicy;
@@ -0,0 +1,46 @@
+/**
+ * Bot Detector
+ * Recognize events caused by bots, including this action's own comments
+ */
+
+// Hidden in every comment and pull request body the action writes
+const MARKER = '<!-- swe-agent-resolver:bot -->';
+
+class BotDetector {
+  constructor(ownLogins = []) {
+    this.ownLogins = ownLogins.filter(Boolean).map(login => login.toLowerCase());
+  }
+
+  mark(body) {
+    return this.isMarked(body) ? body : `${body}\n${MARKER}`;
+  }
+
+  isMarked(body) {
+    return typeof body === 'string' && body.includes(MARKER);
+  }
+
+  isSelf(login) {
+    return !!login && this.ownLogins.includes(login.toLowerCase());
+  }
+
+  detect(sender, body) {
+    if (sender?.type === 'Bot') {
+      return 'bot_user';
+    }
+
+    if (this.isSelf(sender?.login)) {
+      return 'own_login';
+    }
+
+    // Catches our own output posted with a user token, which GitHub reports as a User
+    if (this.isMarked(body)) {
+      return 'marker';
+    }
+
+    return null;
+  }
+}
+
+BotDetector.MARKER = MARKER;
+
+module.exports = BotDetector;
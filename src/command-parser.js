@@ -0,0 +1,213 @@
+/**
+ * Command Parser
+ * Parse trigger comments into a verb and validated per-run overrides
+ *
+ * Grammar: <trigger> [verb] [--flag value | --flag=value]... [instructions]
+ * Flags are only read from the line holding the trigger phrase; any further
+ * lines are passed through as instructions.
+ */
+
+const { VALID_TOOLS } = require('./config-builder');
+
+const VERBS = {
+  fix: 'Please analyze the issue and implement a fix in the repository.',
+  review: 'Please review the code and provide feedback on code quality, potential issues, and improvements. Do not modify files.',
+  explain: 'Please explain the relevant code and the root cause of the issue. Do not modify files.',
+  test: 'Please write or update tests that cover the described behaviour.',
+  help: null,
+  confirm: null
+};
+
+// Verbs whose runs are expected to modify the repository
+const MUTATING_VERBS = ['fix', 'test'];
+
+const FLAGS = {
+  model: { key: 'model', type: 'string', usage: '--model <name>' },
+  'max-cost': { key: 'maxCost', type: 'number', usage: '--max-cost <usd>' },
+  tools: { key: 'tools', type: 'list', usage: '--tools <tool,tool>' }
+};
+
+const DEFAULT_VERB = 'fix';
+
+class CommandParser {
+  constructor(triggerPhrase = '@swe-agent', options = {}) {
+    this.triggerPhrase = triggerPhrase;
+    this.maxCostLimit = options.maxCostLimit;
+  }
+
+  parse(body) {
+    const text = body || '';
+    const triggerIndex = text.indexOf(this.triggerPhrase);
+
+    if (triggerIndex === -1) {
+      return null;
+    }
+
+    const afterTrigger = text.slice(triggerIndex + this.triggerPhrase.length);
+    const lineEnd = afterTrigger.indexOf('\n');
+    const commandLine = lineEnd === -1 ? afterTrigger : afterTrigger.slice(0, lineEnd);
+    const remainder = lineEnd === -1 ? '' : afterTrigger.slice(lineEnd + 1).trim();
+
+    const command = this.defaultCommand();
+
+    const { words, flags } = this.splitTokens(this.tokenize(commandLine), command.errors);
+
+    if (words.length > 0 && Object.prototype.hasOwnProperty.call(VERBS, words[0].toLowerCase())) {
+      command.verb = words.shift().toLowerCase();
+    } else if (words.length === 1 && !remainder) {
+      // A lone word is an attempted verb rather than a free-form request
+      command.errors.push(`Unknown command \`${words[0]}\`. Available commands: ${this.listVerbs()}.`);
+    }
+
+    for (const [name, value] of flags) {
+      this.applyFlag(command, name, value);
+    }
+
+    command.instructions = [words.join(' '), remainder].filter(Boolean).join('\n').trim();
+    command.task = VERBS[command.verb];
+    command.mutating = MUTATING_VERBS.includes(command.verb);
+
+    return command;
+  }
+
+  defaultCommand(verb = DEFAULT_VERB) {
+    return {
+      verb,
+      task: VERBS[verb],
+      mutating: MUTATING_VERBS.includes(verb),
+      instructions: '',
+      overrides: {},
+      errors: []
+    };
+  }
+
+  tokenize(line) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+      tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+
+    return tokens;
+  }
+
+  splitTokens(tokens, errors) {
+    const words = [];
+    const flags = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (!token.startsWith('--')) {
+        words.push(token);
+        continue;
+      }
+
+      const equalsIndex = token.indexOf('=');
+      if (equalsIndex !== -1) {
+        flags.push([token.slice(2, equalsIndex), token.slice(equalsIndex + 1)]);
+        continue;
+      }
+
+      const next = tokens[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        errors.push(`Flag \`${token}\` requires a value.`);
+        continue;
+      }
+
+      flags.push([token.slice(2), next]);
+      i++;
+    }
+
+    return { words, flags };
+  }
+
+  applyFlag(command, name, value) {
+    const flag = FLAGS[name];
+
+    if (!flag) {
+      command.errors.push(`Unknown flag \`--${name}\`. Supported flags: ${this.listFlags()}.`);
+      return;
+    }
+
+    switch (flag.type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || isNaN(number) || number <= 0) {
+        command.errors.push(`\`--${name}\` must be a positive number, got \`${value}\`.`);
+        return;
+      }
+      if (name === 'max-cost' && this.maxCostLimit && number > this.maxCostLimit) {
+        command.errors.push(`\`--max-cost\` cannot exceed the configured limit of $${this.maxCostLimit}.`);
+        return;
+      }
+      command.overrides[flag.key] = number;
+      return;
+    }
+
+    case 'list': {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = items.filter(item => !VALID_TOOLS.includes(item));
+      if (items.length === 0 || invalid.length > 0) {
+        command.errors.push(`\`--${name}\` contains unknown tools: ${invalid.join(', ') || '(none)'}. Valid tools: ${VALID_TOOLS.join(', ')}.`);
+        return;
+      }
+      command.overrides[flag.key] = items.join(',');
+      return;
+    }
+
+    default:
+      if (!/^[\w.:/@-]+$/.test(value)) {
+        command.errors.push(`\`--${name}\` has an invalid value \`${value}\`.`);
+        return;
+      }
+      command.overrides[flag.key] = value;
+    }
+  }
+
+  listVerbs() {
+    return Object.keys(VERBS).map(verb => `\`${verb}\``).join(', ');
+  }
+
+  listFlags() {
+    return Object.values(FLAGS).map(flag => `\`${flag.usage}\``).join(', ');
+  }
+
+  formatUsage() {
+    const verbs = Object.entries(VERBS)
+      .filter(([, task]) => task)
+      .map(([verb, task]) => `- \`${this.triggerPhrase} ${verb}\` — ${task}`)
+      .join('\n');
+
+    const flags = Object.values(FLAGS)
+      .map(flag => `- \`${flag.usage}\``)
+      .join('\n');
+
+    return `### Usage
+\`${this.triggerPhrase} [command] [flags] [instructions]\`
+
+**Commands**
+${verbs}
+- \`${this.triggerPhrase} confirm\` — Start a run that is waiting for confirmation (maintainers only).
+- \`${this.triggerPhrase} help\` — Show this message.
+
+**Flags**
+${flags}
+
+Without a command, the comment is treated as a \`${DEFAULT_VERB}\` request.`;
+  }
+
+  formatErrors(command) {
+    const errors = command.errors.map(error => `- ${error}`).join('\n');
+
+    return `❓ **Invalid Command**
+
+${errors}
+
+${this.formatUsage()}`;
+  }
+}
+
+module.exports = CommandParser;
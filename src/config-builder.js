@@ -4,23 +4,97 @@
  */
 
 const logger = require('../utils/logger');
+const ProviderRegistry = require('./provider-registry');
+const AuthorizationPolicy = require('./authorization-policy');
+
+// Tools SWE-agent can be configured with
+const VALID_TOOLS = [
+  'str_replace_editor',
+  'bash',
+  'file_viewer',
+  'python_executor',
+  'web_browser',
+  'file_manager'
+];
+
+// How SWE-agent reads actions from replies; models without tool calling (e.g. many Ollama or vLLM ones) need a text format
+const PARSE_FUNCTIONS = [
+  'function_calling',
+  'thought_action',
+  'xml_thought_action',
+  'json'
+];
+
+// Settings a trigger comment may change for its own run; everything else stays with the maintainers
+const OVERRIDE_KEYS = ['model', 'maxCost', 'tools'];
+
+// Pre-flight estimate heuristics, in tokens per agent step
+const ESTIMATE = {
+  minSteps: 8,
+  templateTokens: 2500,
+  observationTokens: 600,
+  outputTokens: 250
+};
 
 class ConfigBuilder {
-  build(inputs) {
+  constructor() {
+    this.providers = new ProviderRegistry();
+  }
+
+  build(inputs, requested = {}, repoConfig = null, labels = []) {
+    const overrides = this.filterOverrides(requested);
+
+    // Precedence, lowest first: action inputs, .github/swe-agent.yml, its label overrides, trigger comment flags
+    const base = Object.assign({ ...inputs }, ...this.repositorySettings(repoConfig, labels));
+    const merged = { ...base, ...overrides };
+
+    // A comment may lower the budget but never raise it above the configured one
+    if (overrides.maxCost !== undefined && base.maxCost !== undefined) {
+      merged.maxCost = Math.min(parseFloat(overrides.maxCost), parseFloat(base.maxCost));
+    }
+
+    if (Object.keys(overrides).length > 0) {
+      logger.info('Applying per-run overrides', { overrides: Object.keys(overrides) });
+    }
+
+    const modelName = merged.model || 'gpt-4o-mini';
+
     const config = {
-      model_name: inputs.model || 'gpt-4o-mini',
-      api_key: this.resolveApiKey(inputs.model),
-      tools: this.parseTools(inputs.tools),
-      max_cost: parseFloat(inputs.maxCost) || 5.00,
-      max_iterations: 30,
-      verbose: inputs.debugMode || false
+      model_name: modelName,
+      api_key: this.resolveApiKey(merged.model),
+      fallback_models: this.parseFallbackModels(merged.fallbackModels, modelName),
+      tools: this.parseTools(merged.tools),
+      max_cost: parseFloat(merged.maxCost) || 5.00,
+      budget_thresholds: this.parseBudgetThresholds(merged.budgetWarningThresholds),
+      max_iterations: this.parseMaxIterations(merged.maxIterations),
+      parse_function: this.parseParseFunction(merged.parseFunction),
+      context_token_budget: this.parseTokenBudget(merged.contextTokenBudget),
+      progress_interval: this.parseProgressInterval(merged.progressInterval),
+      workspace_timeout: this.parseTimeout(merged.workspaceTimeout, 300),
+      confirm_above: parseFloat(merged.confirmAbove) || 0,
+      confirm_label: merged.confirmLabel || 'swe-agent:confirm',
+      temperature: merged.temperature ?? 0,
+      top_p: merged.topP ?? 1,
+      create_pr: merged.createPr !== false,
+      protected_paths: repoConfig?.protected_paths || [],
+      templates: repoConfig?.templates || {},
+      authorization: this.parseAuthorization(inputs, repoConfig),
+      endpoint: this.parseEndpoint(merged),
+      model_endpoints: this.parseModelEndpoints(repoConfig?.models),
+      env_passthrough: this.parseList(merged.envPassthrough),
+      pricing: repoConfig?.pricing || {},
+      verbose: merged.debugMode || false
     };
 
     // Validate configuration
     this.validateConfig(config);
 
+    // Estimates made from this builder use the repository's prices too
+    this.providers.pricing.setOverrides(config.pricing);
+
     logger.info('Configuration built', {
       model: config.model_name,
+      fallbackModels: config.fallback_models,
       tools: config.tools.length,
       maxCost: config.max_cost
     });
@@ -28,55 +102,210 @@ class ConfigBuilder {
     return config;
   }
 
+  filterOverrides(requested) {
+    const ignored = Object.keys(requested).filter(key => !OVERRIDE_KEYS.includes(key));
+
+    if (ignored.length > 0) {
+      logger.warn('Ignoring overrides a comment may not set', { ignored });
+    }
+
+    return Object.fromEntries(
+      Object.entries(requested).filter(([key, value]) => OVERRIDE_KEYS.includes(key) && value !== undefined)
+    );
+  }
+
+  repositorySettings(repoConfig, labels = []) {
+    if (!repoConfig) {
+      return [];
+    }
+
+    const { labels: labelSettings = {} } = repoConfig;
+
+    // Label overrides apply in the order the labels appear on the issue or PR
+    const matched = labels
+      .filter(label => Object.prototype.hasOwnProperty.call(labelSettings, label))
+      .map(label => labelSettings[label]);
+
+    if (matched.length > 0) {
+      logger.info('Applying label overrides', { labels: labels.filter(label => labelSettings[label]) });
+    }
+
+    return [repoConfig, ...matched].map(settings => this.fromRepositoryKeys(settings));
+  }
+
+  fromRepositoryKeys(settings) {
+    const keys = {
+      model: 'model',
+      fallback_models: 'fallbackModels',
+      tools: 'tools',
+      max_cost: 'maxCost',
+      temperature: 'temperature',
+      top_p: 'topP',
+      create_pr: 'createPr',
+      confirm_above: 'confirmAbove',
+      context_token_budget: 'contextTokenBudget',
+      max_iterations: 'maxIterations',
+      parse_function: 'parseFunction'
+    };
+
+    return Object.fromEntries(
+      Object.entries(keys)
+        .filter(([key]) => settings[key] !== undefined)
+        .map(([key, inputKey]) => [inputKey, settings[key]])
+    );
+  }
+
   resolveApiKey(modelName) {
-    const model = modelName || 'gpt-4o-mini';
+    return this.providers.resolveApiKey(modelName);
+  }
+
+  parseFallbackModels(fallbackInput, primaryModel) {
+    if (!fallbackInput) {
+      return [];
+    }
+
+    const models = Array.isArray(fallbackInput) ? fallbackInput : fallbackInput.split(',');
+
+    // Keep order, drop blanks, duplicates and the primary model itself
+    return models
+      .map(model => model.trim())
+      .filter((model, index, all) => model.length > 0 && model !== primaryModel && all.indexOf(model) === index);
+  }
+
+  parseEndpoint(settings) {
+    // Default endpoint for every model, e.g. a LiteLLM proxy in front of all providers
+    const endpoint = {
+      api_base: settings.apiBase || undefined,
+      api_version: settings.apiVersion || undefined,
+      headers: this.parseHeaders(settings.apiHeaders)
+    };
+
+    return this.compactEndpoint(endpoint);
+  }
+
+  parseModelEndpoints(models = {}) {
+    return Object.fromEntries(
+      Object.entries(models || {}).map(([model, endpoint]) => [model, this.compactEndpoint({ ...endpoint })])
+    );
+  }
+
+  compactEndpoint(endpoint) {
+    if (!endpoint.headers || Object.keys(endpoint.headers).length === 0) {
+      delete endpoint.headers;
+    }
+
+    return Object.fromEntries(Object.entries(endpoint).filter(([, value]) => value !== undefined));
+  }
+
+  parseHeaders(headersInput) {
+    if (!headersInput) {
+      return {};
+    }
+
+    if (typeof headersInput === 'object') {
+      return { ...headersInput };
+    }
+
+    // One "Name: value" pair per line, as in an HTTP request
+    const headers = {};
+
+    for (const line of headersInput.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        throw new Error(`Invalid api_headers entry "${line}"; expected "Name: value"`);
+      }
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+
+    return headers;
+  }
+
+  parseTokenBudget(budgetInput) {
+    const budget = parseInt(budgetInput, 10);
+
+    // 0 leaves earlier comments out entirely
+    return isNaN(budget) || budget < 0 ? 6000 : budget;
+  }
 
-    // OpenAI models
-    if (model.includes('gpt') || model.includes('o1')) {
-      const key = process.env.OPENAI_API_KEY;
-      if (!key) {throw new Error('OPENAI_API_KEY environment variable is required for OpenAI models');}
-      return key;
+  parseProgressInterval(intervalInput) {
+    const seconds = parseInt(intervalInput, 10);
+
+    // 0 keeps the status comment on the phase alone
+    return isNaN(seconds) || seconds < 0 ? 30 : seconds;
+  }
+
+  parseMaxIterations(iterationsInput) {
+    const iterations = parseInt(iterationsInput, 10);
+    return isNaN(iterations) || iterations <= 0 ? 30 : iterations;
+  }
+
+  parseTimeout(timeoutInput, fallback) {
+    const seconds = parseInt(timeoutInput, 10);
+    return isNaN(seconds) || seconds <= 0 ? fallback : seconds;
+  }
+
+  parseParseFunction(parseFunctionInput) {
+    if (!parseFunctionInput) {
+      return 'function_calling';
     }
 
-    // Anthropic models
-    if (model.includes('claude')) {
-      const key = process.env.ANTHROPIC_API_KEY;
-      if (!key) {throw new Error('ANTHROPIC_API_KEY environment variable is required for Anthropic models');}
-      return key;
+    if (!PARSE_FUNCTIONS.includes(parseFunctionInput)) {
+      logger.warn('Invalid parse function specified, using function_calling', {
+        invalid: parseFunctionInput,
+        valid: PARSE_FUNCTIONS
+      });
+      return 'function_calling';
     }
 
-    // DeepSeek models
-    if (model.includes('deepseek')) {
-      const key = process.env.DEEPSEEK_API_KEY;
-      if (!key) {throw new Error('DEEPSEEK_API_KEY environment variable is required for DeepSeek models');}
-      return key;
+    return parseFunctionInput;
+  }
+
+  parseAuthorization(inputs, repoConfig) {
+    const repo = repoConfig || {};
+
+    return {
+      allowed_associations: repo.allowed_associations ?? this.parseAssociations(inputs.allowedAssociations),
+      allowed_users: repo.allowed_users ?? this.parseList(inputs.allowedUsers),
+      allowed_teams: repo.allowed_teams ?? this.parseList(inputs.allowedTeams),
+      // Denials add up, so the repository file cannot unblock someone the workflow blocks
+      denied_users: [...this.parseList(inputs.deniedUsers), ...(repo.denied_users || [])]
+    };
+  }
+
+  parseAssociations(associationsInput) {
+    if (associationsInput === undefined || associationsInput === null) {
+      return AuthorizationPolicy.DEFAULT_ASSOCIATIONS;
     }
 
-    // Groq models
-    if (model.includes('groq') || model.includes('llama') || model.includes('mixtral')) {
-      const key = process.env.GROQ_API_KEY;
-      if (!key) {throw new Error('GROQ_API_KEY environment variable is required for Groq models');}
-      return key;
+    const associations = this.parseList(associationsInput).map(association => association.toUpperCase());
+    const invalid = associations.filter(association => !AuthorizationPolicy.ASSOCIATIONS.includes(association));
+
+    if (invalid.length > 0) {
+      logger.warn('Invalid author associations filtered out', { invalid });
     }
 
-    // OpenRouter models
-    if (model.includes('openrouter') || model.includes('/')) {
-      const key = process.env.OPENROUTER_API_KEY;
-      if (!key) {throw new Error('OPENROUTER_API_KEY environment variable is required for OpenRouter models');}
-      return key;
+    return associations.filter(association => AuthorizationPolicy.ASSOCIATIONS.includes(association));
+  }
+
+  parseList(listInput) {
+    if (!listInput) {
+      return [];
     }
 
-    // Azure OpenAI
-    if (model.includes('azure')) {
-      const key = process.env.AZURE_OPENAI_API_KEY;
-      if (!key) {throw new Error('AZURE_OPENAI_API_KEY environment variable is required for Azure OpenAI');}
-      return key;
+    const items = Array.isArray(listInput) ? listInput : listInput.split(/[,\n]/);
+    return items.map(item => item.trim()).filter(Boolean);
+  }
+
+  parseBudgetThresholds(thresholdInput) {
+    if (!thresholdInput) {
+      return [0.5, 0.8];
     }
 
-    // Default to OpenAI
-    const key = process.env.OPENAI_API_KEY;
-    if (!key) {throw new Error('OPENAI_API_KEY environment variable is required');}
-    return key;
+    // Percentages of max_cost, e.g. "50,80" warns at half and four-fifths of the budget
+    return thresholdInput.split(',')
+      .map(value => parseFloat(value) / 100)
+      .filter(value => value > 0 && value < 1)
+      .sort((a, b) => a - b);
   }
 
   parseTools(toolsInput) {
@@ -87,6 +316,10 @@ class ConfigBuilder {
       'file_viewer'
     ];
 
+    if (Array.isArray(toolsInput)) {
+      toolsInput = toolsInput.join(',');
+    }
+
     if (!toolsInput || toolsInput.trim() === '') {
       return defaultTools;
     }
@@ -101,20 +334,11 @@ class ConfigBuilder {
     }
 
     // Validate tools
-    const validTools = [
-      'str_replace_editor',
-      'bash',
-      'file_viewer',
-      'python_executor',
-      'web_browser',
-      'file_manager'
-    ];
-
-    const invalidTools = tools.filter(tool => !validTools.includes(tool));
+    const invalidTools = tools.filter(tool => !VALID_TOOLS.includes(tool));
     if (invalidTools.length > 0) {
       logger.warn('Invalid tools specified, using defaults', {
         invalid: invalidTools,
-        valid: validTools
+        valid: VALID_TOOLS
       });
       return defaultTools;
     }
@@ -127,7 +351,11 @@ class ConfigBuilder {
       throw new Error('Model name is required');
     }
 
-    if (!config.api_key) {
+    // Fallbacks are only resolved when they run, so catch unknown providers up front
+    config.fallback_models.forEach(model => this.providers.resolve(model));
+
+    // Keyless providers (e.g. local Ollama) legitimately have no API key
+    if (!config.api_key && this.providers.resolve(config.model_name).apiKeyEnv) {
       throw new Error('API key is required');
     }
 
@@ -145,33 +373,37 @@ class ConfigBuilder {
   }
 
   estimateCost(model, inputTokens = 1000, outputTokens = 500) {
-    // Rough cost estimates per 1K tokens (input/output)
-    const pricing = {
-      // OpenAI
-      'gpt-4o-mini': [0.00015, 0.0006],
-      'gpt-4o': [0.005, 0.015],
-      'gpt-3.5-turbo': [0.0015, 0.002],
-
-      // Anthropic
-      'claude-3-5-sonnet-latest': [0.003, 0.015],
-      'claude-3-haiku': [0.00025, 0.00125],
-
-      // DeepSeek
-      'deepseek/deepseek-chat': [0.0002, 0.0002],
-      'deepseek/deepseek-coder': [0.0002, 0.0002],
-
-      // Groq (often free or very cheap)
-      'groq/llama2-70b-4096': [0.00007, 0.00008],
-      'groq/mixtral-8x7b-32768': [0.00024, 0.00024]
-    };
-
-    const [inputPrice, outputPrice] = pricing[model] || [0.001, 0.002]; // Default pricing
-
-    const inputCost = (inputTokens / 1000) * inputPrice;
-    const outputCost = (outputTokens / 1000) * outputPrice;
+    return this.providers.priceTokens(model, inputTokens, outputTokens);
+  }
 
-    return inputCost + outputCost;
+  estimateRunCost(config, { problemChars = 0, repoFiles = 0 } = {}) {
+    // Larger repositories take more exploration steps; each step resends the whole history
+    const steps = Math.min(
+      config.max_iterations || 30,
+      Math.round(ESTIMATE.minSteps + 2 * Math.log2(1 + repoFiles))
+    );
+    const problemTokens = Math.ceil(problemChars / 4);
+    const inputTokens = steps * (ESTIMATE.templateTokens + problemTokens) +
+      ESTIMATE.observationTokens * steps * (steps - 1) / 2;
+    const outputTokens = steps * ESTIMATE.outputTokens;
+    const cost = this.estimateCost(config.model_name, inputTokens, outputTokens);
+
+    return {
+      model: config.model_name,
+      steps,
+      problemTokens,
+      repoFiles,
+      inputTokens,
+      outputTokens,
+      // The run is stopped at max_cost, so that is the most it can spend
+      cost: Math.min(cost, config.max_cost),
+      capped: cost > config.max_cost
+    };
   }
 }
 
+ConfigBuilder.VALID_TOOLS = VALID_TOOLS;
+ConfigBuilder.PARSE_FUNCTIONS = PARSE_FUNCTIONS;
+ConfigBuilder.OVERRIDE_KEYS = OVERRIDE_KEYS;
+
 module.exports = ConfigBuilder;
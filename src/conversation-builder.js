@@ -0,0 +1,100 @@
+/**
+ * Conversation Builder
+ * Render an issue or pull request thread as problem statement context within a token budget
+ */
+
+const BotDetector = require('./bot-detector');
+
+// Same rough ratio the cost estimate uses
+const CHARS_PER_TOKEN = 4;
+
+// Below this many characters a truncated comment is more confusing than helpful
+const MIN_EXCERPT = 200;
+
+const FOOTER = /\n*---\n<sub>🔧 SWE-Agent GitHub Action Wrapper<\/sub>\s*$/;
+
+class ConversationBuilder {
+  constructor(botDetector = new BotDetector()) {
+    this.botDetector = botDetector;
+  }
+
+  render(comments, options = {}) {
+    const { currentCommentId = null, budgetTokens = 6000 } = options;
+    const entries = this.entries(comments, currentCommentId);
+    const budget = budgetTokens * CHARS_PER_TOKEN;
+
+    // Walk back from the newest comment, since recent context matters most
+    const kept = [];
+    let used = 0;
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const block = this.formatEntry(entries[i]);
+
+      if (used + block.length > budget) {
+        const room = budget - used;
+        if (kept.length === 0 && room >= MIN_EXCERPT) {
+          kept.unshift(`${block.slice(0, room)}\n\n_(comment truncated)_`);
+        }
+        break;
+      }
+
+      kept.unshift(block);
+      used += block.length;
+    }
+
+    if (kept.length === 0) {
+      return '';
+    }
+
+    const omitted = entries.length - kept.length;
+    const notice = omitted > 0
+      ? `_${omitted} earlier comment${omitted === 1 ? '' : 's'} omitted to fit the context budget._\n\n`
+      : '';
+
+    return `${notice}${kept.join('\n\n')}`;
+  }
+
+  entries(comments, currentCommentId) {
+    return [...(comments || [])]
+      .filter(comment => comment.id !== currentCommentId)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(comment => this.toEntry(comment))
+      .filter(Boolean);
+  }
+
+  toEntry(comment) {
+    const body = comment.body || '';
+    const date = (comment.created_at || '').slice(0, 10);
+
+    if (this.botDetector.isMarked(body)) {
+      const text = this.cleanAgentComment(body);
+
+      // A status comment still in progress (or abandoned) says nothing about the outcome
+      if (!text || text.startsWith('## 🤖 SWE-Agent Working')) {
+        return null;
+      }
+
+      return { author: 'SWE-agent (previous run)', date, text };
+    }
+
+    // Other bots are noise (CI reports, dependency updates) rather than conversation
+    if (comment.user?.type === 'Bot' || !body.trim()) {
+      return null;
+    }
+
+    return { author: `@${comment.user?.login || 'ghost'}`, date, text: body.trim() };
+  }
+
+  cleanAgentComment(body) {
+    return body
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(FOOTER, '')
+      .trim();
+  }
+
+  formatEntry(entry) {
+    return `**${entry.author}**${entry.date ? ` (${entry.date})` : ''}:\n${entry.text}`;
+  }
+}
+
+module.exports = ConversationBuilder;
@@ -0,0 +1,251 @@
+/**
+ * Diff Parser
+ * Parse unified diffs (git or plain) into per-file change records
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+class DiffParser {
+  parse(patch) {
+    if (!patch || typeof patch !== 'string') {
+      return [];
+    }
+
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldRemaining = 0;
+    let newRemaining = 0;
+
+    for (const line of patch.replace(/\r\n/g, '\n').split('\n')) {
+      // Inside a hunk, count lines off so removed lines like "--- x" are not read as headers
+      if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+        if (line.startsWith('\\')) {
+          continue; // "\ No newline at end of file"
+        }
+
+        hunk.lines.push(line);
+
+        if (line.startsWith('+')) {
+          file.linesAdded++;
+          newRemaining--;
+        } else if (line.startsWith('-')) {
+          file.linesRemoved++;
+          oldRemaining--;
+        } else {
+          // Context lines; editors sometimes strip the leading space from blank ones
+          oldRemaining--;
+          newRemaining--;
+        }
+        continue;
+      }
+
+      hunk = null;
+
+      if (line.startsWith('diff --git ')) {
+        file = this.createFile(this.parseGitHeader(line.slice('diff --git '.length)));
+        files.push(file);
+        continue;
+      }
+
+      // Plain unified diffs start directly with the --- header
+      if (line.startsWith('--- ') && (!file || file.hunks.length > 0 || file.sawHeaders)) {
+        file = this.createFile({});
+        files.push(file);
+      }
+
+      if (!file) {
+        continue; // Preamble such as a commit message
+      }
+
+      const hunkMatch = line.match(HUNK_HEADER);
+      if (hunkMatch) {
+        hunk = {
+          oldStart: parseInt(hunkMatch[1], 10),
+          oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+          newStart: parseInt(hunkMatch[3], 10),
+          newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+          context: hunkMatch[5].trim(),
+          lines: []
+        };
+        oldRemaining = hunk.oldLines;
+        newRemaining = hunk.newLines;
+        file.hunks.push(hunk);
+        continue;
+      }
+
+      this.parseHeaderLine(file, line);
+    }
+
+    return files.map(entry => this.finalize(entry));
+  }
+
+  createFile({ oldPath = null, newPath = null }) {
+    return {
+      oldPath,
+      newPath,
+      newFile: false,
+      deletedFile: false,
+      renamed: false,
+      copied: false,
+      binary: false,
+      oldMode: null,
+      newMode: null,
+      similarity: null,
+      linesAdded: 0,
+      linesRemoved: 0,
+      hunks: [],
+      sawHeaders: false
+    };
+  }
+
+  parseHeaderLine(file, line) {
+    const headers = [
+      [/^--- (.+)$/, match => {
+        file.oldPath = this.stripPrefix(match[1]);
+        file.sawHeaders = true;
+      }],
+      [/^\+\+\+ (.+)$/, match => {
+        file.newPath = this.stripPrefix(match[1]);
+      }],
+      [/^new file mode (\d+)$/, match => {
+        file.newFile = true;
+        file.newMode = match[1];
+      }],
+      [/^deleted file mode (\d+)$/, match => {
+        file.deletedFile = true;
+        file.oldMode = match[1];
+      }],
+      [/^old mode (\d+)$/, match => {
+        file.oldMode = match[1];
+      }],
+      [/^new mode (\d+)$/, match => {
+        file.newMode = match[1];
+      }],
+      [/^rename from (.+)$/, match => {
+        file.renamed = true;
+        file.oldPath = this.unquote(match[1]);
+      }],
+      [/^rename to (.+)$/, match => {
+        file.renamed = true;
+        file.newPath = this.unquote(match[1]);
+      }],
+      [/^copy from (.+)$/, match => {
+        file.copied = true;
+        file.oldPath = this.unquote(match[1]);
+      }],
+      [/^copy to (.+)$/, match => {
+        file.copied = true;
+        file.newPath = this.unquote(match[1]);
+      }],
+      [/^similarity index (\d+)%$/, match => {
+        file.similarity = parseInt(match[1], 10);
+      }],
+      [/^(?:Binary files .* differ|GIT binary patch)$/, () => {
+        file.binary = true;
+      }]
+    ];
+
+    for (const [pattern, apply] of headers) {
+      const match = line.match(pattern);
+      if (match) {
+        apply(match);
+        return;
+      }
+    }
+  }
+
+  parseGitHeader(header) {
+    // Quoted form: "a/with space" "b/with space"
+    if (header.startsWith('"')) {
+      const match = header.match(/^("(?:[^"\\]|\\.)*") (.+)$/);
+      if (match) {
+        return { oldPath: this.stripPrefix(match[1]), newPath: this.stripPrefix(match[2]) };
+      }
+    }
+
+    // Unquoted paths may contain spaces, so prefer the split where both sides name the same file
+    const middle = (header.length - 1) / 2;
+    if (Number.isInteger(middle) && header[middle] === ' ') {
+      const oldPath = this.stripPrefix(header.slice(0, middle));
+      const newPath = this.stripPrefix(header.slice(middle + 1));
+      if (oldPath === newPath) {
+        return { oldPath, newPath };
+      }
+    }
+
+    const split = header.lastIndexOf(' b/');
+    if (split > 0) {
+      return { oldPath: this.stripPrefix(header.slice(0, split)), newPath: this.stripPrefix(header.slice(split + 1)) };
+    }
+
+    return {};
+  }
+
+  stripPrefix(rawPath) {
+    // Drop trailing timestamps from plain diffs ("--- file.js\t2024-01-01 ...")
+    const filePath = this.unquote(rawPath.split('\t')[0].trim());
+
+    if (filePath === '/dev/null') {
+      return null;
+    }
+
+    return filePath.replace(/^[ab]\//, '');
+  }
+
+  unquote(value) {
+    if (!value.startsWith('"') || !value.endsWith('"')) {
+      return value;
+    }
+
+    // Git C-quotes paths with special characters; octal escapes are UTF-8 bytes
+    const bytes = [];
+    const body = value.slice(1, -1);
+    const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] !== '\\') {
+        bytes.push(...Buffer.from(body[i]));
+      } else if (/[0-7]{3}/.test(body.slice(i + 1, i + 4))) {
+        bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+        i += 3;
+      } else {
+        bytes.push(...Buffer.from(escapes[body[i + 1]] || body[i + 1]));
+        i += 1;
+      }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  finalize(file) {
+    let action = 'modified';
+
+    if (file.newFile || (file.oldPath === null && file.newPath !== null)) {
+      action = 'added';
+    } else if (file.deletedFile || (file.newPath === null && file.oldPath !== null)) {
+      action = 'deleted';
+    } else if (file.renamed) {
+      action = 'renamed';
+    } else if (file.copied) {
+      action = 'copied';
+    }
+
+    const path = action === 'deleted' ? file.oldPath : (file.newPath || file.oldPath);
+
+    return {
+      path: path,
+      oldPath: action === 'renamed' || action === 'copied' ? file.oldPath : null,
+      action: action,
+      linesAdded: file.linesAdded,
+      linesRemoved: file.linesRemoved,
+      binary: file.binary,
+      oldMode: file.oldMode,
+      newMode: file.newMode,
+      similarity: file.similarity,
+      hunks: file.hunks
+    };
+  }
+}
+
+module.exports = DiffParser;
@@ -0,0 +1,102 @@
+/**
+ * Pricing Catalogue
+ * Per-model token prices, overridable per repository
+ */
+
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+// USD per 1M tokens; cached_input applies to prompt tokens served from the provider's cache
+const PRICES = {
+  'gpt-4o': { input: 5, output: 15, cached_input: 2.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cached_input: 0.075 },
+  'gpt-3.5-turbo': { input: 1.5, output: 2 },
+  'o1': { input: 15, output: 60, cached_input: 7.5 },
+  'o1-mini': { input: 3, output: 12, cached_input: 1.5 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15, cached_input: 0.3 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4, cached_input: 0.08 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cached_input: 0.03 },
+  'deepseek/deepseek-chat': { input: 0.2, output: 0.2 },
+  'deepseek/deepseek-coder': { input: 0.2, output: 0.2 },
+  'groq/llama2-70b-4096': { input: 0.07, output: 0.08 },
+  'groq/mixtral-8x7b-32768': { input: 0.24, output: 0.24 }
+};
+
+const DEFAULT_PRICE = { input: 1, output: 2 };
+
+const PRICE_SCHEMA = Joi.object().pattern(Joi.string(), Joi.object({
+  input: Joi.number().min(0).required(),
+  output: Joi.number().min(0).required(),
+  cached_input: Joi.number().min(0)
+}));
+
+class PricingCatalogue {
+  constructor(overrides = {}) {
+    this.overrides = {};
+    this.warned = new Set();
+    this.setOverrides(overrides);
+  }
+
+  setOverrides(overrides) {
+    this.overrides = { ...(overrides || {}) };
+  }
+
+  parse(content, source = 'pricing file') {
+    let raw;
+
+    try {
+      // YAML is a superset of JSON, so one loader handles both formats
+      raw = yaml.load(content);
+    } catch (error) {
+      throw new Error(`Invalid ${source}: ${error.reason || error.message}`);
+    }
+
+    const { error, value } = PRICE_SCHEMA.validate(raw || {}, { abortEarly: false, errors: { label: false } });
+
+    if (error) {
+      const details = error.details.map(detail => `\`${detail.path.join('.')}\`: ${detail.message}`);
+      throw new Error(`Invalid ${source}: ${details.join('; ')}`);
+    }
+
+    return value;
+  }
+
+  lookup(model) {
+    // "anthropic/claude-3-5-sonnet-latest" is priced like "claude-3-5-sonnet-latest"
+    const names = model && model.includes('/')
+      ? [model, model.slice(model.indexOf('/') + 1)]
+      : [model];
+
+    for (const name of names) {
+      if (this.overrides[name]) {
+        return { price: this.overrides[name], known: true, source: 'override' };
+      }
+      if (PRICES[name]) {
+        return { price: PRICES[name], known: true, source: 'catalogue' };
+      }
+    }
+
+    return { price: DEFAULT_PRICE, known: false, source: 'default' };
+  }
+
+  has(model) {
+    return this.lookup(model).known;
+  }
+
+  price(model, { inputTokens = 0, outputTokens = 0, cachedInputTokens = 0 } = {}) {
+    const { price, known } = this.lookup(model);
+
+    if (!known && !this.warned.has(model)) {
+      this.warned.add(model);
+      logger.warn('No known price for model, using default rates', { model, ...DEFAULT_PRICE });
+    }
+
+    const cachedPrice = price.cached_input ?? price.input;
+    const uncachedInput = Math.max(0, inputTokens - cachedInputTokens);
+
+    return (uncachedInput * price.input + cachedInputTokens * cachedPrice + outputTokens * price.output) / 1000000;
+  }
+}
+
+module.exports = PricingCatalogue;
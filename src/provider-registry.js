@@ -0,0 +1,175 @@
+/**
+ * Provider Registry
+ * Resolve models to LLM providers and their metadata (credentials, endpoint, pricing, context window)
+ */
+
+const PricingCatalogue = require('./pricing-catalogue');
+
+// Providers keyed by their LiteLLM prefix ("anthropic/claude-...")
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    envVars: ['OPENAI_API_KEY'],
+    baseUrl: 'https://api.openai.com/v1'
+  },
+  anthropic: {
+    name: 'Anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    envVars: ['ANTHROPIC_API_KEY'],
+    baseUrl: 'https://api.anthropic.com'
+  },
+  deepseek: {
+    name: 'DeepSeek',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    envVars: ['DEEPSEEK_API_KEY'],
+    baseUrl: 'https://api.deepseek.com'
+  },
+  groq: {
+    name: 'Groq',
+    apiKeyEnv: 'GROQ_API_KEY',
+    envVars: ['GROQ_API_KEY'],
+    baseUrl: 'https://api.groq.com/openai/v1'
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    envVars: ['OPENROUTER_API_KEY'],
+    baseUrl: 'https://openrouter.ai/api/v1'
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+    envVars: ['AZURE_OPENAI_API_KEY', 'AZURE_API_KEY', 'AZURE_API_BASE', 'AZURE_API_VERSION'],
+    baseUrl: null // Per-resource endpoint
+  },
+  ollama: {
+    name: 'Ollama',
+    apiKeyEnv: null, // Local models need no key
+    envVars: ['OLLAMA_API_BASE'],
+    baseUrl: 'http://localhost:11434'
+  },
+  hosted_vllm: {
+    name: 'vLLM',
+    apiKeyEnv: null,
+    envVars: ['HOSTED_VLLM_API_BASE', 'HOSTED_VLLM_API_KEY'],
+    baseUrl: null // Self-hosted; set api_base
+  },
+  litellm_proxy: {
+    name: 'LiteLLM Proxy',
+    apiKeyEnv: 'LITELLM_PROXY_API_KEY',
+    envVars: ['LITELLM_PROXY_API_KEY', 'LITELLM_PROXY_API_BASE'],
+    baseUrl: null
+  },
+  bedrock: {
+    name: 'AWS Bedrock',
+    apiKeyEnv: 'AWS_ACCESS_KEY_ID',
+    envVars: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_REGION_NAME'],
+    baseUrl: null
+  }
+};
+
+// Models used without a prefix, plus prefixed models with a known context window
+const KNOWN_MODELS = {
+  'gpt-4o': { provider: 'openai', contextWindow: 128000 },
+  'gpt-4o-mini': { provider: 'openai', contextWindow: 128000 },
+  'gpt-3.5-turbo': { provider: 'openai', contextWindow: 16385 },
+  'o1': { provider: 'openai', contextWindow: 200000 },
+  'o1-mini': { provider: 'openai', contextWindow: 128000 },
+  'claude-3-5-sonnet-latest': { provider: 'anthropic', contextWindow: 200000 },
+  'claude-3-5-haiku-latest': { provider: 'anthropic', contextWindow: 200000 },
+  'claude-3-haiku': { provider: 'anthropic', contextWindow: 200000 },
+  'deepseek/deepseek-chat': { provider: 'deepseek', contextWindow: 64000 },
+  'deepseek/deepseek-coder': { provider: 'deepseek', contextWindow: 64000 },
+  'groq/llama2-70b-4096': { provider: 'groq', contextWindow: 4096 },
+  'groq/mixtral-8x7b-32768': { provider: 'groq', contextWindow: 32768 }
+};
+
+// Unprefixed model families LiteLLM routes by name; anchored so "o1" inside another name does not match
+const MODEL_FAMILIES = [
+  [/^(?:gpt-|chatgpt-|o\d(?:-|$))/, 'openai'],
+  [/^claude-/, 'anthropic']
+];
+
+const DEFAULT_PROVIDER = 'openai';
+
+class ProviderRegistry {
+  constructor(pricing = new PricingCatalogue()) {
+    this.pricing = pricing;
+  }
+
+  resolve(modelName) {
+    const model = modelName || 'gpt-4o-mini';
+    const prefix = model.includes('/') ? model.slice(0, model.indexOf('/')) : null;
+
+    // LiteLLM would send these to a provider we hold no credentials or metadata for
+    if (prefix && !PROVIDERS[prefix]) {
+      throw new Error(
+        `Unknown provider prefix "${prefix}" in model "${model}". Known prefixes: ${Object.keys(PROVIDERS).join(', ')}; ` +
+        'route other providers through openrouter/ or litellm_proxy/'
+      );
+    }
+
+    let providerId;
+    if (prefix) {
+      providerId = prefix;
+    } else if (KNOWN_MODELS[model]) {
+      providerId = KNOWN_MODELS[model].provider;
+    } else {
+      const family = MODEL_FAMILIES.find(([pattern]) => pattern.test(model));
+      providerId = family ? family[1] : DEFAULT_PROVIDER;
+    }
+
+    // "anthropic/claude-3-5-sonnet-latest" shares metadata with "claude-3-5-sonnet-latest"
+    const known = KNOWN_MODELS[model] || (prefix && KNOWN_MODELS[model.slice(prefix.length + 1)]);
+
+    return {
+      model: model,
+      provider: providerId,
+      ...PROVIDERS[providerId],
+      pricing: this.pricing.lookup(model).price,
+      contextWindow: known ? known.contextWindow : null,
+      known: !!known
+    };
+  }
+
+  getProvider(providerId) {
+    return PROVIDERS[providerId] ? { id: providerId, ...PROVIDERS[providerId] } : null;
+  }
+
+  list() {
+    return Object.keys(PROVIDERS).map(providerId => this.getProvider(providerId));
+  }
+
+  resolveApiKey(modelName, env = process.env) {
+    const info = this.resolve(modelName);
+
+    if (!info.apiKeyEnv) {
+      return null;
+    }
+
+    const key = env[info.apiKeyEnv];
+    if (!key) {
+      throw new Error(`${info.apiKeyEnv} environment variable is required for ${info.name} models`);
+    }
+
+    return key;
+  }
+
+  priceTokens(modelName, inputTokens, outputTokens, cachedInputTokens = 0) {
+    return this.pricing.price(modelName, { inputTokens, outputTokens, cachedInputTokens });
+  }
+
+  credentialEnvVars() {
+    return [...new Set(this.list().flatMap(provider => provider.envVars))];
+  }
+
+  availableProviders(env = process.env) {
+    // Keyless providers are left out; they say nothing about configured credentials
+    return this.list()
+      .filter(provider => provider.apiKeyEnv && env[provider.apiKeyEnv])
+      .map(provider => provider.id);
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,127 @@
+/**
+ * Repository Config
+ * Parse and validate .github/swe-agent.yml from the target repository
+ */
+
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { VALID_TOOLS, PARSE_FUNCTIONS } = require('./config-builder');
+const { ASSOCIATIONS } = require('./authorization-policy');
+
+const CONFIG_PATH = '.github/swe-agent.yml';
+
+// Settings that can be set repository-wide and overridden per label
+const RUN_SETTINGS = {
+  model: Joi.string().trim().min(1),
+  fallback_models: Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().min(1)),
+    Joi.string().allow('')
+  ),
+  tools: Joi.array().items(Joi.string().valid(...VALID_TOOLS)).min(1),
+  max_cost: Joi.number().positive(),
+  temperature: Joi.number().min(0).max(2),
+  top_p: Joi.number().greater(0).max(1),
+  create_pr: Joi.boolean(),
+  confirm_above: Joi.number().min(0),
+  context_token_budget: Joi.number().integer().min(0),
+  max_iterations: Joi.number().integer().positive(),
+  parse_function: Joi.string().valid(...PARSE_FUNCTIONS)
+};
+
+const SCHEMA = Joi.object({
+  ...RUN_SETTINGS,
+  labels: Joi.object().pattern(Joi.string(), Joi.object(RUN_SETTINGS)),
+  protected_paths: Joi.array().items(Joi.string().trim().min(1)),
+  templates: Joi.object({
+    success: Joi.string(),
+    failure: Joi.string()
+  }),
+  allowed_associations: Joi.array().items(Joi.string().uppercase().valid(...ASSOCIATIONS)),
+  allowed_users: Joi.array().items(Joi.string().trim().min(1)),
+  allowed_teams: Joi.array().items(Joi.string().pattern(/^[\w.-]+\/[\w.-]+$/).message('must be "org/team-slug"')),
+  denied_users: Joi.array().items(Joi.string().trim().min(1)),
+  models: Joi.object().pattern(Joi.string(), Joi.object({
+    api_base: Joi.string().uri({ scheme: ['http', 'https'] }),
+    api_version: Joi.string(),
+    headers: Joi.object().pattern(Joi.string(), Joi.string())
+  }))
+});
+
+class RepoConfig {
+  parse(content) {
+    let raw;
+
+    try {
+      raw = yaml.load(content);
+    } catch (error) {
+      const line = error.mark ? `line ${error.mark.line + 1}` : 'syntax';
+      throw this.configError([`${line}: ${error.reason || error.message}`]);
+    }
+
+    // An empty file is a valid (if pointless) configuration
+    if (raw === null || raw === undefined) {
+      return {};
+    }
+
+    const { error, value } = SCHEMA.validate(raw, {
+      abortEarly: false,
+      errors: { label: false }
+    });
+
+    if (error) {
+      throw this.configError(error.details.map(detail => {
+        const key = detail.path.length > 0 ? detail.path.join('.') : '(root)';
+        return `\`${key}\`: ${detail.message}`;
+      }));
+    }
+
+    return value;
+  }
+
+  configError(details) {
+    const error = new Error(`Invalid ${CONFIG_PATH}: ${details.join('; ')}`);
+    error.code = 'EINVALIDCONFIG';
+    error.details = details;
+    return error;
+  }
+
+  findProtected(filesChanged, patterns) {
+    if (!patterns || patterns.length === 0) {
+      return [];
+    }
+
+    const paths = (filesChanged || []).flatMap(file => [file.path, file.oldPath].filter(Boolean));
+
+    return [...new Set(paths)].filter(filePath => patterns.some(pattern => this.matchesPath(pattern, filePath)));
+  }
+
+  matchesPath(pattern, filePath) {
+    // A trailing slash protects the whole directory
+    const glob = pattern.replace(/^\//, '').replace(/\/$/, '/**');
+
+    const source = glob
+      .split(/(\*\*\/?|\*|\?)/)
+      .map(part => {
+        if (part === '**/') {
+          return '(?:.*/)?';
+        }
+        if (part === '**') {
+          return '.*';
+        }
+        if (part === '*') {
+          return '[^/]*';
+        }
+        if (part === '?') {
+          return '[^/]';
+        }
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return new RegExp(`^${source}$`).test(filePath);
+  }
+}
+
+RepoConfig.CONFIG_PATH = CONFIG_PATH;
+
+module.exports = RepoConfig;
@@ -4,11 +4,57 @@
  */
 
 const logger = require('../utils/logger');
+const DiffParser = require('./diff-parser');
+const ProviderRegistry = require('./provider-registry');
+
+// Provider failures that are worth retrying with a different model
+const PROVIDER_FAILURES = {
+  auth: /AuthenticationError|PermissionDeniedError|invalid.{0,10}api.?key|incorrect api key|unauthorized|\b401\b|\b403\b|API key (?:environment variable )?is required/i,
+  rate_limit: /RateLimitError|rate.?limit|too many requests|\b429\b|quota exceeded|insufficient_quota/i,
+  context_length: /ContextWindowExceeded|context.?length|context window|maximum context|too many tokens|prompt is too long/i,
+  server_error: /InternalServerError|ServiceUnavailable|APIConnectionError|overloaded|bad gateway|gateway timeout|\b50[0234]\b/i
+};
 
 class ResultParser {
-  parse(sweAgentResult, metadata = {}) {
-    const { executionTime, model, event } = metadata;
+  constructor() {
+    this.diffParser = new DiffParser();
+    this.providers = new ProviderRegistry();
+  }
+
+  assessReviewComments(comments, filesChanged = [], branch = null) {
+    return comments.map(comment => {
+      // Nothing counts as addressed unless a commit was actually pushed
+      const file = branch
+        ? filesChanged.find(entry => entry.path === comment.path || entry.oldPath === comment.path)
+        : null;
+
+      let status = 'not_addressed';
+      if (file) {
+        status = this.touchesCommentLines(file, comment) ? 'addressed' : 'file_changed';
+      }
+
+      return { comment, status };
+    });
+  }
+
+  touchesCommentLines(file, comment) {
+    const end = comment.line ?? comment.original_line;
+
+    // File-level comments, comments on removed lines and files without hunks only need the file to change
+    if (!end || comment.side === 'LEFT' || !file.hunks || file.hunks.length === 0) {
+      return true;
+    }
+
+    // The commit's old side is the pull request head the reviewer commented on
+    const start = comment.start_line ?? comment.original_start_line ?? end;
+    return file.hunks.some(hunk => hunk.oldStart <= end && start < hunk.oldStart + Math.max(hunk.oldLines, 1));
+  }
+
+  setPricing(overrides) {
+    this.providers.pricing.setOverrides(overrides);
+  }
 
+  parse(sweAgentResult, metadata = {}) {
     if (!sweAgentResult.success) {
       return this.parseFailure(sweAgentResult, metadata);
     }
@@ -22,13 +68,14 @@ class ResultParser {
     // Extract key information from SWE-agent output
     const summary = this.extractSummary(result);
     const filesChanged = this.extractFileChanges(result);
-    const costEstimate = this.estimateCost(model, result);
+    const usage = this.calculateUsage(model, result);
 
     return {
       success: true,
       summary: summary,
       filesChanged: filesChanged,
-      costEstimate: costEstimate,
+      costEstimate: usage.cost,
+      usage: usage,
       executionTime: executionTime || 0,
       model: model,
       event: event,
@@ -42,11 +89,17 @@ class ResultParser {
 
   parseFailure(result, metadata) {
     const { executionTime, model, event } = metadata;
+    const usage = this.calculateUsage(model, result, true);
 
     return {
       success: false,
       error: this.extractError(result),
-      costEstimate: this.estimateCost(model, result, true),
+      budgetExceeded: !!result.budgetExceeded,
+      timedOut: !!result.timedOut,
+      cancelled: !!result.cancelled,
+      partialPatch: this.extractPatch(result) || result.diff || null,
+      costEstimate: usage.cost,
+      usage: usage,
       executionTime: executionTime || 0,
       model: model,
       event: event,
@@ -102,7 +155,13 @@ class ResultParser {
       return output['changes.json'].files || [];
     }
 
-    // Parse file operations from stdout
+    // The patch is the source of truth; fall back to the workspace diff collected by the runner
+    const patch = this.extractPatch(result) || result.diff;
+    if (patch) {
+      return this.diffParser.parse(patch);
+    }
+
+    // Last resort for runs without a patch: parse file operations from stdout
     const fileOperations = [
       /(?:Created|Added)\s+file:?\s*([^\n]+)/gi,
       /(?:Modified|Updated|Edited)\s+file:?\s*([^\n]+)/gi,
@@ -130,6 +189,47 @@ class ResultParser {
     return changes;
   }
 
+  extractPatch(result) {
+    const { output } = result;
+
+    if (!output) {
+      return null;
+    }
+
+    // preds.json maps instance ids (or a list) to predictions carrying model_patch
+    const preds = output['preds.json'];
+    if (preds && typeof preds === 'object') {
+      const predictions = Array.isArray(preds) ? preds : Object.values(preds);
+      const prediction = predictions.find(p => p && p.model_patch);
+      if (prediction) {
+        return prediction.model_patch;
+      }
+    }
+
+    const patchFile = Object.keys(output).find(file => file.endsWith('.patch'));
+    if (patchFile && typeof output[patchFile] === 'string' && output[patchFile].trim()) {
+      return output[patchFile];
+    }
+
+    // Interrupted runs have no submission yet, so use the latest diff recorded in the trajectory
+    const trajectoryFile = Object.keys(output).find(file => file.endsWith('.traj'));
+    const trajectory = trajectoryFile && output[trajectoryFile];
+    if (trajectory && typeof trajectory === 'object') {
+      if (trajectory.info && trajectory.info.submission) {
+        return trajectory.info.submission;
+      }
+
+      const steps = trajectory.trajectory || [];
+      for (let i = steps.length - 1; i >= 0; i--) {
+        if (steps[i].state && steps[i].state.diff) {
+          return steps[i].state.diff;
+        }
+      }
+    }
+
+    return null;
+  }
+
   extractActions(stdout) {
     const actions = [];
 
@@ -191,32 +291,96 @@ class ResultParser {
     return 'SWE-agent execution failed with unknown error';
   }
 
-  estimateCost(model, result, failed = false) {
+  classifyFailure(result) {
+    if (!result || result.success) {
+      return null;
+    }
+
+    // Only look at error channels; stdout may contain arbitrary repository content
+    const text = [result.error, result.stderr].filter(Boolean).join('\n');
+
+    for (const [reason, pattern] of Object.entries(PROVIDER_FAILURES)) {
+      if (pattern.test(text)) {
+        logger.debug('Classified provider failure', { reason });
+        return reason;
+      }
+    }
+
+    return null;
+  }
+
+  calculateUsage(model, result, failed = false) {
+    return this.trajectoryUsage(model, result) || this.estimateUsage(model, result, failed);
+  }
+
+  trajectoryUsage(model, result) {
+    const usage = this.extractUsage(result);
+
+    if (!usage) {
+      return null;
+    }
+
+    // Some providers report no cost through LiteLLM, so price the real token counts instead
+    if (usage.cost <= 0) {
+      usage.cost = this.priceTokens(model, usage.inputTokens, usage.outputTokens);
+      usage.priced = this.providers.pricing.has(model);
+    } else {
+      usage.priced = true;
+    }
+
+    return usage;
+  }
+
+  extractUsage(result) {
+    const output = result.output || {};
+
+    // Trajectories record the provider-reported usage in info.model_stats
+    const stats = Object.keys(output)
+      .filter(file => file.endsWith('.traj'))
+      .map(file => output[file] && output[file].info && output[file].info.model_stats)
+      .filter(Boolean);
+
+    if (stats.length === 0) {
+      return null;
+    }
+
+    const usage = stats.reduce((total, stat) => ({
+      inputTokens: total.inputTokens + (stat.tokens_sent || 0),
+      outputTokens: total.outputTokens + (stat.tokens_received || 0),
+      apiCalls: total.apiCalls + (stat.api_calls || 0),
+      cost: total.cost + (stat.instance_cost || 0)
+    }), { inputTokens: 0, outputTokens: 0, apiCalls: 0, cost: 0 });
+
+    logger.debug('Usage read from trajectories', { trajectories: stats.length, ...usage });
+
+    return { ...usage, source: 'trajectory' };
+  }
+
+  estimateUsage(model, result, failed = false) {
     // Rough token estimation based on output length
     const stdout = result.stdout || '';
     const stderr = result.stderr || '';
 
     // Estimate tokens (rough: 1 token ≈ 4 characters)
     const inputTokens = failed ? 500 : 1000; // Estimated input
-    const outputTokens = Math.max(100, (stdout.length + stderr.length) / 4);
-
-    // Cost per 1K tokens (input/output)
-    const pricing = {
-      'gpt-4o-mini': [0.00015, 0.0006],
-      'gpt-4o': [0.005, 0.015],
-      'gpt-3.5-turbo': [0.0015, 0.002],
-      'claude-3-5-sonnet-latest': [0.003, 0.015],
-      'claude-3-haiku': [0.00025, 0.00125],
-      'deepseek/deepseek-chat': [0.0002, 0.0002],
-      'groq/llama2-70b-4096': [0.00007, 0.00008]
-    };
+    const outputTokens = Math.max(100, Math.round((stdout.length + stderr.length) / 4));
 
-    const [inputPrice, outputPrice] = pricing[model] || [0.001, 0.002];
+    return {
+      inputTokens,
+      outputTokens,
+      apiCalls: 0,
+      cost: Math.max(0.0001, this.priceTokens(model, inputTokens, outputTokens)), // Minimum $0.0001
+      source: 'estimate',
+      priced: this.providers.pricing.has(model)
+    };
+  }
 
-    const inputCost = (inputTokens / 1000) * inputPrice;
-    const outputCost = (outputTokens / 1000) * outputPrice;
+  estimateCost(model, result, failed = false) {
+    return this.estimateUsage(model, result, failed).cost;
+  }
 
-    return Math.max(0.0001, inputCost + outputCost); // Minimum $0.0001
+  priceTokens(model, inputTokens, outputTokens) {
+    return this.providers.priceTokens(model, inputTokens, outputTokens);
   }
 }
 
@@ -0,0 +1,84 @@
+/**
+ * Step Tracker
+ * Follow SWE-agent's log line by line and report each step's thought, action and observation
+ */
+
+// Strip colors before matching; SWE-agent logs through rich
+const ANSI = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+const PATTERNS = {
+  // "==== STEP 3 ====" banners in SWE-agent 1.x
+  step: /=+\s*STEP\s+(\d+)\s*=+/,
+  thought: /💭\s*THOUGHT/,
+  action: /🎬\s*ACTION/,
+  observation: /👀\s*OBSERVATION/
+};
+
+// Long commands (heredocs, file contents) are cut down to their start
+const MAX_ACTION_LENGTH = 120;
+
+class StepTracker {
+  constructor(options = {}) {
+    this.onProgress = options.onProgress || (() => {});
+    this.now = options.now || Date.now;
+    this.startTime = this.now();
+    this.step = 0;
+    this.phase = null;
+    this.action = null;
+    this.awaitingAction = false;
+  }
+
+  push(rawLine) {
+    const line = rawLine.replace(ANSI, '').trim();
+
+    const banner = line.match(PATTERNS.step);
+    if (banner) {
+      this.step = parseInt(banner[1], 10);
+      this.action = null;
+      return this.enter('step');
+    }
+
+    for (const phase of ['thought', 'action', 'observation']) {
+      if (PATTERNS[phase].test(line)) {
+        // Older SWE-agent versions print no banner, so a new thought or action after an observation starts a step
+        if (phase !== 'observation' && (this.phase === null || this.phase === 'observation')) {
+          this.step += 1;
+          this.action = null;
+        }
+
+        this.awaitingAction = phase === 'action';
+        return this.enter(phase);
+      }
+    }
+
+    // The command itself is the first line after the ACTION header
+    if (this.awaitingAction && line) {
+      this.awaitingAction = false;
+      this.action = line.length > MAX_ACTION_LENGTH ? `${line.slice(0, MAX_ACTION_LENGTH - 1)}…` : line;
+      return this.emit('action');
+    }
+
+    return null;
+  }
+
+  enter(phase) {
+    this.phase = phase;
+
+    // The action is announced once its command line has been read
+    return phase === 'action' ? null : this.emit(phase);
+  }
+
+  emit(type) {
+    const event = {
+      type,
+      step: this.step,
+      action: this.action,
+      elapsedMs: this.now() - this.startTime
+    };
+
+    this.onProgress(event);
+    return event;
+  }
+}
+
+module.exports = StepTracker;
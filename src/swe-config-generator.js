@@ -0,0 +1,171 @@
+/**
+ * SWE-agent Config Generator
+ * Build a complete SWE-agent run config and serialize it with js-yaml
+ */
+
+const yaml = require('js-yaml');
+
+// Action tool names mapped to SWE-agent tool bundles (bash is built into the agent)
+const TOOL_BUNDLES = {
+  str_replace_editor: 'tools/edit_anthropic',
+  file_viewer: 'tools/windowed',
+  file_manager: 'tools/search',
+  web_browser: 'tools/web_browser',
+  python_executor: null,
+  bash: null
+};
+
+// Keep interactive programs from blocking the agent's shell
+const ENV_VARIABLES = {
+  PAGER: 'cat',
+  MANPAGER: 'cat',
+  GIT_PAGER: 'cat',
+  LESS: '-R',
+  PIP_PROGRESS_BAR: 'off',
+  TQDM_DISABLE: '1'
+};
+
+const SYSTEM_TEMPLATE = `You are a helpful assistant that can interact with a computer to solve tasks in a software repository.
+You work in {{working_dir}} and can run one command per turn.`;
+
+const NEXT_STEP_TEMPLATE = 'OBSERVATION:\n{{observation}}';
+
+const NEXT_STEP_NO_OUTPUT_TEMPLATE = 'Your command ran successfully and did not produce any output.';
+
+// Per-mode instructions; read-only modes submit without reviewing an edit
+const MODES = {
+  fix: {
+    submitBundle: 'tools/review_on_submit_m',
+    instructions: `Make the minimal changes to non-test files in {{working_dir}} so that the requirements in the task are met.
+1. Find and read the code relevant to the task.
+2. Reproduce the problem with a script and run it with bash.
+3. Edit the source code to resolve the problem.
+4. Rerun your reproduction script to confirm the fix, and think about edge cases.
+5. Submit when you are done.`
+  },
+  test: {
+    submitBundle: 'tools/review_on_submit_m',
+    instructions: `Add or improve tests in {{working_dir}} for the code described in the task.
+Follow the repository's existing test layout and framework, run the new tests with bash, and do not change non-test files unless a test cannot be written otherwise.
+Submit when the tests pass.`
+  },
+  review: {
+    submitBundle: 'tools/submit',
+    instructions: `Review the changes described in the task without modifying any files in {{working_dir}}.
+Look for bugs, missing edge cases, security problems and unclear code.
+Print your review with echo, then submit.`
+  },
+  explain: {
+    submitBundle: 'tools/submit',
+    instructions: `Explain the code described in the task without modifying any files in {{working_dir}}.
+Read the relevant code, then print a clear explanation of how it works and why with echo, then submit.`
+  }
+};
+
+class SWEConfigGenerator {
+  generate(config, options = {}) {
+    const mode = MODES[options.mode] ? options.mode : 'fix';
+
+    return {
+      agent: {
+        model: this.buildModel(config),
+        templates: this.buildTemplates(mode),
+        tools: this.buildTools(config, mode)
+      },
+      env: this.buildEnv(options),
+      problem_statement: {
+        type: 'text_file',
+        path: options.problemPath
+      }
+    };
+  }
+
+  toYaml(config, options = {}) {
+    // lineWidth -1 keeps templates and paths from being folded across lines
+    return yaml.dump(this.generate(config, options), {
+      lineWidth: -1,
+      noRefs: true,
+      sortKeys: false
+    });
+  }
+
+  buildModel(config) {
+    const model = {
+      name: config.model_name,
+      per_instance_cost_limit: config.max_cost,
+      per_instance_call_limit: config.max_iterations || 30,
+      total_cost_limit: 0,
+      temperature: config.temperature ?? 0,
+      top_p: config.top_p ?? 1
+    };
+
+    // Per-model endpoints win over the default one, so fallbacks can live on other servers
+    const endpoint = {
+      ...config.endpoint,
+      ...(config.model_endpoints || {})[config.model_name]
+    };
+
+    if (endpoint.api_base) {
+      model.api_base = endpoint.api_base;
+    }
+
+    if (endpoint.api_version) {
+      model.api_version = endpoint.api_version;
+    }
+
+    if (endpoint.headers && Object.keys(endpoint.headers).length > 0) {
+      model.completion_kwargs = { extra_headers: endpoint.headers };
+    }
+
+    return model;
+  }
+
+  buildTemplates(mode) {
+    return {
+      system_template: SYSTEM_TEMPLATE,
+      instance_template: `<task>\n{{problem_statement}}\n</task>\n\n${MODES[mode].instructions}`,
+      next_step_template: NEXT_STEP_TEMPLATE,
+      next_step_no_output_template: NEXT_STEP_NO_OUTPUT_TEMPLATE
+    };
+  }
+
+  buildTools(config, mode) {
+    const tools = config.tools || [];
+    const bundles = ['tools/registry'];
+
+    for (const tool of tools) {
+      const bundle = TOOL_BUNDLES[tool];
+      if (bundle && !bundles.includes(bundle)) {
+        bundles.push(bundle);
+      }
+    }
+
+    bundles.push(MODES[mode].submitBundle);
+
+    return {
+      bundles: bundles.map(bundlePath => ({ path: bundlePath })),
+      env_variables: ENV_VARIABLES,
+      enable_bash_tool: tools.includes('bash') || tools.includes('python_executor'),
+      parse_function: {
+        type: config.parse_function || 'function_calling'
+      }
+    };
+  }
+
+  buildEnv(options) {
+    return {
+      deployment: {
+        type: 'local'
+      },
+      repo: {
+        type: 'local',
+        path: options.repoPath,
+        base_commit: 'HEAD'
+      }
+    };
+  }
+}
+
+SWEConfigGenerator.MODES = Object.keys(MODES);
+
+module.exports = SWEConfigGenerator;
@@ -0,0 +1,60 @@
+const AuthorizationPolicy = require('../../src/authorization-policy');
+
+jest.mock('../../utils/logger');
+
+describe('AuthorizationPolicy', () => {
+  let isTeamMember;
+  let policy;
+
+  beforeEach(() => {
+    isTeamMember = jest.fn().mockResolvedValue(false);
+    policy = new AuthorizationPolicy(isTeamMember);
+  });
+
+  it('should allow maintainers by default', async () => {
+    expect(await policy.authorize('alice', 'MEMBER')).toEqual({ allowed: true, reason: 'association' });
+    expect(await policy.authorize('bob', 'CONTRIBUTOR')).toEqual({ allowed: false, reason: 'not_allowed' });
+  });
+
+  it('should let a wildcard admit every association', async () => {
+    const result = await policy.authorize('stranger', 'NONE', { allowed_associations: ['*'] });
+
+    expect(result.allowed).toBe(true);
+  });
+
+  it('should allow listed users case-insensitively', async () => {
+    const result = await policy.authorize('Octocat', 'NONE', { allowed_users: ['octocat'] });
+
+    expect(result).toEqual({ allowed: true, reason: 'user' });
+  });
+
+  it('should check team membership until one matches', async () => {
+    isTeamMember
+      .mockRejectedValueOnce(new Error('Resource not accessible by integration'))
+      .mockResolvedValueOnce(true);
+
+    const result = await policy.authorize('dev', 'CONTRIBUTOR', {
+      allowed_teams: ['my-org/secret', 'my-org/maintainers']
+    });
+
+    expect(isTeamMember).toHaveBeenCalledWith('my-org', 'maintainers', 'dev');
+    expect(result).toEqual({ allowed: true, reason: 'team', team: 'my-org/maintainers' });
+  });
+
+  it('should let the denylist win over every allowlist', async () => {
+    const result = await policy.authorize('OWNER-GONE-ROGUE', 'OWNER', {
+      allowed_associations: ['*'],
+      allowed_users: ['owner-gone-rogue'],
+      denied_users: ['owner-gone-rogue']
+    });
+
+    expect(result).toEqual({ allowed: false, reason: 'denied' });
+  });
+
+  it('should refuse events without an association when only associations are allowed', async () => {
+    const result = await policy.authorize('someone', null);
+
+    expect(result.allowed).toBe(false);
+    expect(isTeamMember).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,29 @@
+const BotDetector = require('../../src/bot-detector');
+
+describe('BotDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new BotDetector(['CI-User', '']);
+  });
+
+  it('should mark a body once', () => {
+    const marked = detector.mark('Done');
+
+    expect(marked).toBe(`Done\n${BotDetector.MARKER}`);
+    expect(detector.mark(marked)).toBe(marked);
+    expect(detector.isMarked(marked)).toBe(true);
+    expect(detector.isMarked(undefined)).toBe(false);
+  });
+
+  it('should detect bot users, its own login and marked bodies', () => {
+    expect(detector.detect({ login: 'dependabot[bot]', type: 'Bot' }, 'hi')).toBe('bot_user');
+    expect(detector.detect({ login: 'ci-user', type: 'User' }, 'hi')).toBe('own_login');
+    expect(detector.detect({ login: 'octocat', type: 'User' }, detector.mark('@swe-agent help'))).toBe('marker');
+  });
+
+  it('should let people through', () => {
+    expect(detector.detect({ login: 'octocat', type: 'User' }, '@swe-agent fix')).toBeNull();
+    expect(detector.detect(null, null)).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const BudgetMonitor = require('../../action/budget-monitor');
+
+jest.mock('../../utils/logger');
+
+describe('BudgetMonitor', () => {
+  it('should warn once per threshold as cost grows', () => {
+    const onWarning = jest.fn();
+    const budget = new BudgetMonitor(1.0, { thresholds: [0.5, 0.8], onWarning });
+
+    budget.update(0.3);
+    budget.update(0.55);
+    budget.update(0.6);
+    budget.update(0.85);
+
+    expect(onWarning.mock.calls).toEqual([[0.5, 0.55], [0.8, 0.85]]);
+    expect(budget.exceeded).toBe(false);
+  });
+
+  it('should flag the budget as exceeded once', () => {
+    const onExceeded = jest.fn();
+    const budget = new BudgetMonitor(1.0, { onExceeded });
+
+    budget.update(1.2);
+    budget.update(1.5);
+
+    expect(budget.exceeded).toBe(true);
+    expect(onExceeded).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not let stale reads lower the running cost', () => {
+    const budget = new BudgetMonitor(1.0);
+
+    budget.update(0.4);
+    budget.update(0.2);
+
+    expect(budget.total).toBe(0.4);
+  });
+
+  it('should carry finished attempts into the total', () => {
+    const budget = new BudgetMonitor(1.0);
+
+    budget.update(0.4);
+    budget.finishAttempt(0.45);
+    budget.update(0.6);
+
+    expect(budget.spent).toBe(0.45);
+    expect(budget.total).toBeCloseTo(1.05, 10);
+    expect(budget.exceeded).toBe(true);
+  });
+});
@@ -0,0 +1,98 @@
+const CommandParser = require('../../src/command-parser');
+
+describe('CommandParser', () => {
+  let commandParser;
+
+  beforeEach(() => {
+    commandParser = new CommandParser('@swe-agent', { maxCostLimit: 5 });
+  });
+
+  describe('parse', () => {
+    it('should return null when trigger phrase is absent', () => {
+      expect(commandParser.parse('just a regular comment')).toBeNull();
+    });
+
+    it('should parse verb and flags', () => {
+      const command = commandParser.parse(
+        '@swe-agent fix --model claude-3-5-sonnet-latest --max-cost 2 --tools bash,str_replace_editor'
+      );
+
+      expect(command.errors).toEqual([]);
+      expect(command.verb).toBe('fix');
+      expect(command.mutating).toBe(true);
+      expect(command.overrides).toEqual({
+        model: 'claude-3-5-sonnet-latest',
+        maxCost: 2,
+        tools: 'bash,str_replace_editor'
+      });
+    });
+
+    it('should support --flag=value syntax', () => {
+      const command = commandParser.parse('@swe-agent review --model=gpt-4o');
+
+      expect(command.verb).toBe('review');
+      expect(command.mutating).toBe(false);
+      expect(command.overrides.model).toBe('gpt-4o');
+    });
+
+    it('should treat free-form text as a fix request', () => {
+      const command = commandParser.parse('@swe-agent please handle the empty case');
+
+      expect(command.errors).toEqual([]);
+      expect(command.verb).toBe('fix');
+      expect(command.instructions).toBe('please handle the empty case');
+    });
+
+    it('should keep text after the verb and following lines as instructions', () => {
+      const command = commandParser.parse('@swe-agent fix the null check --max-cost 1\nSee the stack trace above.');
+
+      expect(command.instructions).toBe('the null check\nSee the stack trace above.');
+      expect(command.overrides.maxCost).toBe(1);
+    });
+
+    it('should report unknown verbs', () => {
+      const command = commandParser.parse('@swe-agent refactr');
+
+      expect(command.errors).toHaveLength(1);
+      expect(command.errors[0]).toContain('Unknown command `refactr`');
+    });
+
+    it('should report unknown flags', () => {
+      const command = commandParser.parse('@swe-agent fix --temperature 0.2');
+
+      expect(command.errors[0]).toContain('Unknown flag `--temperature`');
+    });
+
+    it('should reject invalid flag values', () => {
+      const command = commandParser.parse('@swe-agent fix --max-cost cheap --tools bash,rm_rf');
+
+      expect(command.errors).toHaveLength(2);
+      expect(command.errors[0]).toContain('positive number');
+      expect(command.errors[1]).toContain('rm_rf');
+    });
+
+    it('should not allow max cost above the configured limit', () => {
+      const command = commandParser.parse('@swe-agent fix --max-cost 50');
+
+      expect(command.errors[0]).toContain('cannot exceed');
+      expect(command.overrides.maxCost).toBeUndefined();
+    });
+
+    it('should report flags missing a value', () => {
+      const command = commandParser.parse('@swe-agent fix --model');
+
+      expect(command.errors[0]).toContain('requires a value');
+    });
+  });
+
+  describe('formatErrors', () => {
+    it('should include errors and usage', () => {
+      const command = commandParser.parse('@swe-agent fix --bogus 1');
+      const message = commandParser.formatErrors(command);
+
+      expect(message).toContain('Invalid Command');
+      expect(message).toContain('--bogus');
+      expect(message).toContain('@swe-agent explain');
+    });
+  });
+});
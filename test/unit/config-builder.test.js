@@ -38,6 +38,93 @@ describe('ConfigBuilder', () => {
       expect(config.tools).toEqual(['str_replace_editor', 'bash', 'file_viewer']);
     });
 
+    it('should apply per-run overrides over inputs', () => {
+      process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+
+      const inputs = { model: 'gpt-4o-mini', maxCost: '5.00', tools: 'bash' };
+      const config = configBuilder.build(inputs, { model: 'claude-3-5-sonnet-latest', maxCost: 2 });
+
+      expect(config.model_name).toBe('claude-3-5-sonnet-latest');
+      expect(config.api_key).toBe('anthropic-key');
+      expect(config.max_cost).toBe(2);
+      expect(config.tools).toEqual(['bash']);
+    });
+
+    it('should reject models with an unknown provider prefix, including fallbacks', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+
+      expect(() => configBuilder.build({ model: 'gemini/gemini-1.5-pro' })).toThrow('Unknown provider prefix "gemini"');
+      expect(() => configBuilder.build({ model: 'gpt-4o', fallbackModels: 'mistral/mistral-large-latest' }))
+        .toThrow('Unknown provider prefix "mistral"');
+    });
+
+    it('should ignore overrides other than model, max cost and tools', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+
+      const inputs = { model: 'gpt-4o-mini', maxCost: '5.00', tools: 'bash' };
+      const config = configBuilder.build(inputs, {
+        tools: 'bash,file_viewer',
+        envPassthrough: '*',
+        apiBase: 'https://attacker.example',
+        createPr: false
+      });
+
+      expect(config.tools).toEqual(['bash', 'file_viewer']);
+      expect(config.env_passthrough).toEqual([]);
+      expect(config.endpoint).toEqual({});
+      expect(config.create_pr).toBe(true);
+    });
+
+    it('should layer repository settings, label overrides and comment flags', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+      process.env.DEEPSEEK_API_KEY = 'deepseek-key';
+
+      const inputs = { model: 'gpt-4o-mini', maxCost: '5.00', tools: 'bash' };
+      const repoConfig = {
+        model: 'gpt-4o',
+        tools: ['str_replace_editor', 'bash'],
+        max_cost: 3,
+        labels: {
+          cheap: { model: 'deepseek/deepseek-chat', max_cost: 1 },
+          unused: { model: 'gpt-3.5-turbo' }
+        },
+        protected_paths: ['.github/']
+      };
+
+      const fromRepo = configBuilder.build(inputs, {}, repoConfig);
+      expect(fromRepo).toMatchObject({ model_name: 'gpt-4o', max_cost: 3, tools: ['str_replace_editor', 'bash'] });
+      expect(fromRepo.protected_paths).toEqual(['.github/']);
+
+      const fromLabel = configBuilder.build(inputs, {}, repoConfig, ['bug', 'cheap']);
+      expect(fromLabel).toMatchObject({ model_name: 'deepseek/deepseek-chat', max_cost: 1 });
+
+      const fromComment = configBuilder.build(inputs, { model: 'gpt-4o' }, repoConfig, ['cheap']);
+      expect(fromComment.model_name).toBe('gpt-4o');
+    });
+
+    it('should not let comment flags raise the configured budget', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+
+      const config = configBuilder.build({ model: 'gpt-4o', maxCost: '5.00' }, { maxCost: 4 }, { max_cost: 2 });
+
+      expect(config.max_cost).toBe(2);
+    });
+
+    it('should take the step limit and parse function from inputs and repository settings', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+
+      const defaults = configBuilder.build({ model: 'gpt-4o' });
+      expect(defaults).toMatchObject({ max_iterations: 30, parse_function: 'function_calling' });
+
+      const fromInputs = configBuilder.build({ model: 'gpt-4o', maxIterations: 50, parseFunction: 'bogus' });
+      expect(fromInputs).toMatchObject({ max_iterations: 50, parse_function: 'function_calling' });
+
+      const fromRepo = configBuilder.build({ model: 'gpt-4o', maxIterations: 50 }, {}, {
+        labels: { local: { max_iterations: 15, parse_function: 'thought_action' } }
+      }, ['local']);
+      expect(fromRepo).toMatchObject({ max_iterations: 15, parse_function: 'thought_action' });
+    });
+
     it('should throw error when API key is missing', () => {
       const inputs = { model: 'gpt-4o-mini' };
 
@@ -66,6 +153,89 @@ describe('ConfigBuilder', () => {
       const key = configBuilder.resolveApiKey('deepseek/deepseek-chat');
       expect(key).toBe('deepseek-key');
     });
+
+    it('should route OpenRouter models to the OpenRouter key', () => {
+      process.env.GROQ_API_KEY = 'groq-key';
+      process.env.OPENROUTER_API_KEY = 'openrouter-key';
+
+      const key = configBuilder.resolveApiKey('openrouter/meta-llama/llama-3.1-70b-instruct');
+      expect(key).toBe('openrouter-key');
+
+      delete process.env.GROQ_API_KEY;
+      delete process.env.OPENROUTER_API_KEY;
+    });
+
+    it('should build keyless configurations for local models', () => {
+      const config = configBuilder.build({ model: 'ollama/llama3' });
+
+      expect(config.api_key).toBeNull();
+    });
+
+    it('should read the agent timeout in seconds and ignore invalid values', () => {
+      expect(configBuilder.build({ model: 'ollama/llama3', workspaceTimeout: 1800 }).workspace_timeout).toBe(1800);
+      expect(configBuilder.build({ model: 'ollama/llama3', workspaceTimeout: NaN }).workspace_timeout).toBe(300);
+      expect(configBuilder.build({ model: 'ollama/llama3', workspaceTimeout: 0 }).workspace_timeout).toBe(300);
+    });
+  });
+
+  describe('parseFallbackModels', () => {
+    it('should parse ordered fallback list without duplicates or primary model', () => {
+      const models = configBuilder.parseFallbackModels(
+        'gpt-4o, deepseek/deepseek-chat,,gpt-4o-mini,deepseek/deepseek-chat',
+        'gpt-4o-mini'
+      );
+      expect(models).toEqual(['gpt-4o', 'deepseek/deepseek-chat']);
+    });
+
+    it('should return empty list when no fallbacks configured', () => {
+      expect(configBuilder.parseFallbackModels('', 'gpt-4o-mini')).toEqual([]);
+    });
+  });
+
+  describe('endpoints', () => {
+    it('should build the default endpoint from inputs', () => {
+      process.env.OPENAI_API_KEY = 'openai-key';
+
+      const config = configBuilder.build({
+        model: 'gpt-4o',
+        apiBase: 'https://llm-proxy.internal',
+        apiHeaders: 'X-Team: platform\nAuthorization: Bearer a:b',
+        envPassthrough: 'OLLAMA_API_BASE, MY_PROXY_*'
+      });
+
+      expect(config.endpoint).toEqual({
+        api_base: 'https://llm-proxy.internal',
+        headers: { 'X-Team': 'platform', Authorization: 'Bearer a:b' }
+      });
+      expect(config.env_passthrough).toEqual(['OLLAMA_API_BASE', 'MY_PROXY_*']);
+    });
+
+    it('should read per-model endpoints from the repository config', () => {
+      const config = configBuilder.build({ model: 'ollama/llama3' }, {}, {
+        models: { 'ollama/llama3': { api_base: 'http://gpu-box:11434', headers: {} } }
+      });
+
+      expect(config.endpoint).toEqual({});
+      expect(config.model_endpoints).toEqual({ 'ollama/llama3': { api_base: 'http://gpu-box:11434' } });
+    });
+
+    it('should reject malformed header lines', () => {
+      expect(() => configBuilder.parseHeaders('no separator')).toThrow('Invalid api_headers entry "no separator"');
+    });
+  });
+
+  describe('parseBudgetThresholds', () => {
+    it('should convert percentages to sorted fractions', () => {
+      expect(configBuilder.parseBudgetThresholds('90, 25')).toEqual([0.25, 0.9]);
+    });
+
+    it('should default to 50% and 80%', () => {
+      expect(configBuilder.parseBudgetThresholds('')).toEqual([0.5, 0.8]);
+    });
+
+    it('should ignore values outside the budget', () => {
+      expect(configBuilder.parseBudgetThresholds('0,50,100,abc')).toEqual([0.5]);
+    });
   });
 
   describe('parseTools', () => {
@@ -85,6 +255,40 @@ describe('ConfigBuilder', () => {
     });
   });
 
+  describe('parseAuthorization', () => {
+    it('should default to maintainer associations', () => {
+      expect(configBuilder.parseAuthorization({}, null)).toEqual({
+        allowed_associations: ['OWNER', 'MEMBER', 'COLLABORATOR'],
+        allowed_users: [],
+        allowed_teams: [],
+        denied_users: []
+      });
+    });
+
+    it('should let the repository replace allowlists and extend the denylist', () => {
+      const inputs = {
+        allowedAssociations: 'owner,contributor,friend',
+        allowedUsers: 'octocat',
+        deniedUsers: 'spammer'
+      };
+
+      expect(configBuilder.parseAuthorization(inputs, null).allowed_associations).toEqual(['OWNER', 'CONTRIBUTOR']);
+
+      const authorization = configBuilder.parseAuthorization(inputs, {
+        allowed_users: ['hubot'],
+        allowed_teams: ['my-org/maintainers'],
+        denied_users: ['troll']
+      });
+
+      expect(authorization).toEqual({
+        allowed_associations: ['OWNER', 'CONTRIBUTOR'],
+        allowed_users: ['hubot'],
+        allowed_teams: ['my-org/maintainers'],
+        denied_users: ['spammer', 'troll']
+      });
+    });
+  });
+
   describe('estimateCost', () => {
     it('should estimate cost for known models', () => {
       const cost = configBuilder.estimateCost('gpt-4o-mini', 1000, 500);
@@ -96,5 +300,35 @@ describe('ConfigBuilder', () => {
       const cost = configBuilder.estimateCost('unknown-model', 1000, 500);
       expect(cost).toBeGreaterThan(0);
     });
+
+    it('should estimate larger runs for larger problems and repositories', () => {
+      const config = { model_name: 'gpt-4o', max_cost: 100, max_iterations: 30 };
+
+      const small = configBuilder.estimateRunCost(config, { problemChars: 400, repoFiles: 10 });
+      const large = configBuilder.estimateRunCost(config, { problemChars: 40000, repoFiles: 5000 });
+
+      expect(small.cost).toBeGreaterThan(0);
+      expect(large.cost).toBeGreaterThan(small.cost);
+      expect(large.steps).toBeLessThanOrEqual(30);
+      expect(large.problemTokens).toBe(10000);
+    });
+
+    it('should cap run estimates at the budget', () => {
+      const estimate = configBuilder.estimateRunCost(
+        { model_name: 'o1', max_cost: 0.5, max_iterations: 30 },
+        { problemChars: 40000, repoFiles: 5000 }
+      );
+
+      expect(estimate.cost).toBe(0.5);
+      expect(estimate.capped).toBe(true);
+    });
+
+    it('should use repository price overrides once a config is built', () => {
+      configBuilder.build({ model: 'ollama/llama3' }, {}, {
+        pricing: { 'unknown-model': { input: 2, output: 4 } }
+      });
+
+      expect(configBuilder.estimateCost('unknown-model', 1000000, 500000)).toBeCloseTo(4, 10);
+    });
   });
 });
@@ -0,0 +1,64 @@
+const ConversationBuilder = require('../../src/conversation-builder');
+const BotDetector = require('../../src/bot-detector');
+
+describe('ConversationBuilder', () => {
+  let builder;
+  const marker = new BotDetector();
+
+  const comment = (id, login, body, day, type = 'User') => ({
+    id,
+    body,
+    user: { login, type },
+    created_at: `2024-05-${String(day).padStart(2, '0')}T10:00:00Z`
+  });
+
+  beforeEach(() => {
+    builder = new ConversationBuilder();
+  });
+
+  it('should list human comments and previous results in chronological order', () => {
+    const conversation = builder.render([
+      comment(3, 'github-actions[bot]', marker.mark('## 🤖 SWE-Agent Analysis Complete\n\nFixed the null check\n\n---\n<sub>🔧 SWE-Agent GitHub Action Wrapper</sub>'), 2, 'Bot'),
+      comment(1, 'alice', '@swe-agent fix the crash', 1),
+      comment(4, 'bob', '@swe-agent now also handle the empty case', 3)
+    ], { currentCommentId: 4 });
+
+    expect(conversation).toBe([
+      '**@alice** (2024-05-01):\n@swe-agent fix the crash',
+      '**SWE-agent (previous run)** (2024-05-02):\n## 🤖 SWE-Agent Analysis Complete\n\nFixed the null check'
+    ].join('\n\n'));
+  });
+
+  it('should leave out other bots and unfinished status comments', () => {
+    const conversation = builder.render([
+      comment(1, 'codecov[bot]', 'Coverage: 80%', 1, 'Bot'),
+      comment(2, 'github-actions[bot]', marker.mark('## 🤖 SWE-Agent Working...\n\n🔄 Running'), 2, 'Bot')
+    ]);
+
+    expect(conversation).toBe('');
+  });
+
+  it('should drop the oldest comments beyond the token budget', () => {
+    const conversation = builder.render([
+      comment(1, 'alice', 'a'.repeat(300), 1),
+      comment(2, 'bob', 'b'.repeat(300), 2),
+      comment(3, 'carol', 'c'.repeat(300), 3)
+    ], { budgetTokens: 170 });
+
+    expect(conversation).toMatch(/^_1 earlier comment omitted to fit the context budget._/);
+    expect(conversation).not.toContain('@alice');
+    expect(conversation).toContain('@bob');
+    expect(conversation).toContain('@carol');
+  });
+
+  it('should truncate a newest comment that exceeds the budget on its own', () => {
+    const conversation = builder.render([comment(1, 'alice', 'a'.repeat(5000), 1)], { budgetTokens: 100 });
+
+    expect(conversation).toContain('_(comment truncated)_');
+    expect(conversation.length).toBeLessThan(500);
+  });
+
+  it('should leave the thread out with a zero budget', () => {
+    expect(builder.render([comment(1, 'alice', 'hello', 1)], { budgetTokens: 0 })).toBe('');
+  });
+});
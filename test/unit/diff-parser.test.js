@@ -0,0 +1,152 @@
+const DiffParser = require('../../src/diff-parser');
+
+describe('DiffParser', () => {
+  let diffParser;
+
+  beforeEach(() => {
+    diffParser = new DiffParser();
+  });
+
+  it('should count added and removed lines per file', () => {
+    const patch = [
+      'diff --git a/src/app.js b/src/app.js',
+      'index 83db48f..bf269f4 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,4 +1,5 @@ function main() {',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' ',
+      ' module.exports = a;',
+      '@@ -10 +11 @@',
+      '-old',
+      '+new',
+      '\\ No newline at end of file'
+    ].join('\n');
+
+    const [file] = diffParser.parse(patch);
+
+    expect(file).toMatchObject({ path: 'src/app.js', action: 'modified', linesAdded: 3, linesRemoved: 2 });
+    expect(file.hunks).toHaveLength(2);
+    expect(file.hunks[0]).toMatchObject({ oldStart: 1, oldLines: 4, newStart: 1, newLines: 5, context: 'function main() {' });
+    expect(file.hunks[1]).toMatchObject({ oldStart: 10, oldLines: 1, newStart: 11, newLines: 1 });
+  });
+
+  it('should not mistake removed lines for file headers', () => {
+    const patch = [
+      'diff --git a/README.md b/README.md',
+      '--- a/README.md',
+      '+++ b/README.md',
+      '@@ -1,2 +1,2 @@',
+      '--- a horizontal rule',
+      '+++ emphasis',
+      ' text'
+    ].join('\n');
+
+    const files = diffParser.parse(patch);
+
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ linesAdded: 1, linesRemoved: 1 });
+  });
+
+  it('should detect new, deleted and renamed files', () => {
+    const patch = [
+      'diff --git a/new.js b/new.js',
+      'new file mode 100644',
+      'index 0000000..e69de29',
+      '--- /dev/null',
+      '+++ b/new.js',
+      '@@ -0,0 +1,2 @@',
+      '+line one',
+      '+line two',
+      'diff --git a/old.js b/old.js',
+      'deleted file mode 100644',
+      '--- a/old.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-gone',
+      'diff --git a/lib/a.js b/lib/b.js',
+      'similarity index 90%',
+      'rename from lib/a.js',
+      'rename to lib/b.js',
+      '--- a/lib/a.js',
+      '+++ b/lib/b.js',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b'
+    ].join('\n');
+
+    const files = diffParser.parse(patch);
+
+    expect(files.map(file => [file.path, file.action])).toEqual([
+      ['new.js', 'added'],
+      ['old.js', 'deleted'],
+      ['lib/b.js', 'renamed']
+    ]);
+    expect(files[0]).toMatchObject({ linesAdded: 2, newMode: '100644' });
+    expect(files[2]).toMatchObject({ oldPath: 'lib/a.js', similarity: 90 });
+  });
+
+  it('should record pure renames, mode changes and binary files', () => {
+    const patch = [
+      'diff --git a/docs/old name.md b/docs/new name.md',
+      'similarity index 100%',
+      'rename from docs/old name.md',
+      'rename to docs/new name.md',
+      'diff --git a/run.sh b/run.sh',
+      'old mode 100644',
+      'new mode 100755',
+      'diff --git a/logo.png b/logo.png',
+      'index 1234567..89abcde 100644',
+      'Binary files a/logo.png and b/logo.png differ'
+    ].join('\n');
+
+    const files = diffParser.parse(patch);
+
+    expect(files[0]).toMatchObject({ path: 'docs/new name.md', oldPath: 'docs/old name.md', action: 'renamed' });
+    expect(files[1]).toMatchObject({ path: 'run.sh', action: 'modified', oldMode: '100644', newMode: '100755' });
+    expect(files[2]).toMatchObject({ path: 'logo.png', binary: true, linesAdded: 0 });
+  });
+
+  it('should read paths with spaces and quoted paths from the git header', () => {
+    const patch = [
+      'diff --git a/my file.txt b/my file.txt',
+      'old mode 100644',
+      'new mode 100755',
+      'diff --git "a/caf\\303\\251.txt" "b/caf\\303\\251.txt"',
+      'old mode 100644',
+      'new mode 100755'
+    ].join('\n');
+
+    expect(diffParser.parse(patch).map(file => file.path)).toEqual(['my file.txt', 'café.txt']);
+  });
+
+  it('should parse plain unified diffs without git headers', () => {
+    const patch = [
+      '--- a.txt\t2024-01-01 00:00:00',
+      '+++ a.txt\t2024-01-02 00:00:00',
+      '@@ -1 +1,2 @@',
+      ' keep',
+      '+add',
+      '--- b.txt',
+      '+++ b.txt',
+      '@@ -1 +1 @@',
+      '-x',
+      '+y'
+    ].join('\n');
+
+    const files = diffParser.parse(patch);
+
+    expect(files.map(file => [file.path, file.linesAdded, file.linesRemoved])).toEqual([
+      ['a.txt', 1, 0],
+      ['b.txt', 1, 1]
+    ]);
+  });
+
+  it('should return an empty list for empty input', () => {
+    expect(diffParser.parse('')).toEqual([]);
+    expect(diffParser.parse(null)).toEqual([]);
+  });
+});
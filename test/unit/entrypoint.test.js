@@ -1,4 +1,5 @@
 const SWEAgentAction = require('../../action/entrypoint');
+const BotDetector = require('../../src/bot-detector');
 
 // Mock the dependencies
 jest.mock('../../action/swe-agent-runner');
@@ -83,6 +84,27 @@ describe('SWEAgentAction', () => {
       expect(event.issueNumber).toBe(456);
     });
 
+    it('should parse pull request review event', () => {
+      mockGithub.context.eventName = 'pull_request_review';
+      mockGithub.context.payload = {
+        action: 'submitted',
+        review: { id: 9, state: 'changes_requested', body: '@swe-agent fix these' },
+        pull_request: { number: 31, title: 'Add pagination' },
+        repository: { full_name: 'test/repo' }
+      };
+
+      action = new SWEAgentAction();
+      const event = action.parseGitHubEvent();
+
+      expect(event.type).toBe('pull_request_review');
+      expect(event.issueNumber).toBe(31);
+      expect(action.shouldProcess(event)).toBe(true);
+      expect(action.parseCommand(event).verb).toBe('fix');
+
+      event.review = { ...event.review, state: 'approved' };
+      expect(action.shouldProcess(event)).toBe(false);
+    });
+
     it('should throw error for unsupported event type', () => {
       mockGithub.context.eventName = 'push';
       action = new SWEAgentAction();
@@ -117,9 +139,348 @@ describe('SWEAgentAction', () => {
       const event = { type: 'issue' };
       expect(action.shouldProcess(event)).toBe(true);
     });
+
+    it('should process new inline review comments with the trigger phrase', () => {
+      mockGithub.context.payload.action = 'created';
+      action = new SWEAgentAction();
+
+      const event = { type: 'pull_request_review_comment', trigger: '@swe-agent simplify this', comment: {} };
+      expect(action.shouldProcess(event)).toBe(true);
+
+      mockGithub.context.payload.action = 'edited';
+      action = new SWEAgentAction();
+      expect(action.shouldProcess(event)).toBe(false);
+    });
+
+    it('should ignore comments from bots', () => {
+      mockGithub.context.payload.sender = { login: 'renovate[bot]', type: 'Bot' };
+      action = new SWEAgentAction();
+
+      expect(action.shouldProcess({ type: 'issue_comment', trigger: '@swe-agent fix' })).toBe(false);
+    });
+
+    it('should ignore its own comments posted with a user token', () => {
+      const event = {
+        type: 'issue_comment',
+        trigger: 'Comment `@swe-agent help` for usage',
+        comment: { body: `Comment \`@swe-agent help\` for usage\n${BotDetector.MARKER}`, user: { login: 'ci-user', type: 'User' } }
+      };
+
+      expect(action.shouldProcess(event)).toBe(false);
+    });
+
+    it('should ignore events sent by the configured bot login', () => {
+      mockCore.getInput.mockImplementation(name => (name === 'bot_login' ? 'CI-User' : ''));
+      mockGithub.context.payload.sender = { login: 'ci-user', type: 'User' };
+      action = new SWEAgentAction();
+
+      expect(action.shouldProcess({ type: 'issue_comment', trigger: '@swe-agent fix' })).toBe(false);
+    });
+
+    it('should process the confirmation label being added', () => {
+      mockGithub.context.payload.action = 'labeled';
+      mockGithub.context.payload.label = { name: 'swe-agent:confirm' };
+      action = new SWEAgentAction();
+
+      expect(action.shouldProcess({ type: 'issue' })).toBe(true);
+      expect(action.parseCommand({ type: 'issue' }).verb).toBe('confirm');
+
+      mockGithub.context.payload.label = { name: 'bug' };
+      action = new SWEAgentAction();
+
+      expect(action.shouldProcess({ type: 'issue' })).toBe(false);
+    });
+  });
+
+  describe('parseCommand', () => {
+    it('should parse command from comment trigger', () => {
+      const event = {
+        type: 'issue_comment',
+        trigger: '@swe-agent explain --model gpt-4o'
+      };
+
+      const command = action.parseCommand(event);
+
+      expect(command.verb).toBe('explain');
+      expect(command.overrides).toEqual({ model: 'gpt-4o' });
+    });
+
+    it('should default pull requests to review', () => {
+      const command = action.parseCommand({ type: 'pull_request' });
+
+      expect(command.verb).toBe('review');
+      expect(command.errors).toEqual([]);
+    });
+  });
+
+  describe('authorize', () => {
+    const config = {
+      authorization: {
+        allowed_associations: ['OWNER', 'MEMBER', 'COLLABORATOR'],
+        allowed_users: [],
+        allowed_teams: ['my-org/maintainers'],
+        denied_users: []
+      }
+    };
+
+    it('should authorize by the comment author association', async () => {
+      const event = { type: 'issue_comment', comment: { author_association: 'COLLABORATOR' }, issue: {} };
+
+      expect(await action.authorize(event, config)).toBe(true);
+    });
+
+    it('should fall back to team membership', async () => {
+      action.github.isTeamMember.mockResolvedValue(true);
+      const event = { type: 'issue', issue: { author_association: 'NONE' } };
+
+      expect(await action.authorize(event, config)).toBe(true);
+      expect(action.github.isTeamMember).toHaveBeenCalledWith('my-org', 'maintainers', 'testuser');
+    });
+
+    it('should refuse users outside every allowlist', async () => {
+      action.github.isTeamMember.mockResolvedValue(false);
+      const event = { type: 'pull_request', pullRequest: { author_association: 'FIRST_TIME_CONTRIBUTOR' } };
+
+      expect(await action.authorize(event, config)).toBe(false);
+    });
+
+    it('should match allowed users case-insensitively', async () => {
+      const event = { type: 'issue', issue: { author_association: 'NONE' } };
+
+      expect(await action.authorize(event, {
+        authorization: { ...config.authorization, allowed_teams: [], allowed_users: ['TestUser'] }
+      })).toBe(true);
+    });
+  });
+
+  describe('run authorization', () => {
+    const policy = {
+      allowed_associations: ['OWNER', 'MEMBER', 'COLLABORATOR'],
+      allowed_users: [],
+      allowed_teams: [],
+      denied_users: []
+    };
+
+    const trigger = (body, association) => {
+      action.context.payload = {
+        action: 'created',
+        comment: { body, author_association: association, user: { login: 'testuser', type: 'User' } },
+        issue: { number: 123, title: 'Test issue' },
+        repository: { full_name: 'test/repo', owner: { login: 'test' }, name: 'repo' }
+      };
+    };
+
+    beforeEach(() => {
+      action.configBuilder.parseAuthorization.mockReturnValue(policy);
+    });
+
+    it('should refuse outsiders before replying to their command', async () => {
+      trigger('@swe-agent help', 'NONE');
+
+      await action.run();
+
+      expect(action.github.postHelpComment).not.toHaveBeenCalled();
+      expect(action.github.postErrorComment).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('not authorized'), null);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'unauthorized');
+    });
+
+    it('should refuse outsiders before commenting or cloning', async () => {
+      trigger('@swe-agent fix --max-cost 500', 'NONE');
+
+      await action.run();
+
+      expect(action.github.postErrorComment).toHaveBeenCalledTimes(1);
+      expect(action.github.postProgressComment).not.toHaveBeenCalled();
+      expect(action.sweRunner.prepareWorkspace).not.toHaveBeenCalled();
+    });
+
+    it('should answer maintainers straight away', async () => {
+      trigger('@swe-agent help', 'MEMBER');
+
+      await action.run();
+
+      expect(action.github.postHelpComment).toHaveBeenCalled();
+      expect(action.sweRunner.prepareWorkspace).not.toHaveBeenCalled();
+    });
+
+    it('should check again once the repository config narrows the policy', async () => {
+      trigger('@swe-agent fix the crash', 'MEMBER');
+      action.github.postProgressComment.mockResolvedValue({ id: 5 });
+      action.sweRunner.prepareWorkspace.mockResolvedValue({ repoPath: '/tmp/repo' });
+      action.configBuilder.build.mockReturnValue({ authorization: { ...policy, allowed_associations: ['OWNER'] } });
+
+      await action.run();
+
+      expect(action.sweRunner.execute).not.toHaveBeenCalled();
+      expect(action.github.postErrorComment).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('not authorized'), 5);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'unauthorized');
+    });
+
+    it('should not reply to outsiders whose issue triggered the run automatically', async () => {
+      mockGithub.context.eventName = 'issues';
+      action = new SWEAgentAction();
+      action.configBuilder.parseAuthorization.mockReturnValue(policy);
+      action.context.payload = {
+        action: 'opened',
+        issue: { number: 7, title: 'Crash', body: 'It crashes', author_association: 'NONE' },
+        repository: { full_name: 'test/repo', owner: { login: 'test' }, name: 'repo' }
+      };
+
+      await action.run();
+
+      expect(action.github.postErrorComment).not.toHaveBeenCalled();
+      expect(action.github.upsertComment).not.toHaveBeenCalled();
+      expect(action.sweRunner.prepareWorkspace).not.toHaveBeenCalled();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'unauthorized');
+    });
+
+    it('should close the status comment without a refusal when the repository config excludes an automatic run', async () => {
+      mockGithub.context.eventName = 'issues';
+      action = new SWEAgentAction();
+      action.configBuilder.parseAuthorization.mockReturnValue(policy);
+      action.context.payload = {
+        action: 'opened',
+        issue: { number: 7, title: 'Crash', body: 'It crashes', author_association: 'MEMBER' },
+        repository: { full_name: 'test/repo', owner: { login: 'test' }, name: 'repo' }
+      };
+      action.github.postProgressComment.mockResolvedValue({ id: 5 });
+      action.sweRunner.prepareWorkspace.mockResolvedValue({ repoPath: '/tmp/repo' });
+      action.configBuilder.build.mockReturnValue({ authorization: { ...policy, allowed_associations: ['OWNER'] } });
+
+      await action.run();
+
+      expect(action.sweRunner.execute).not.toHaveBeenCalled();
+      expect(action.github.postErrorComment).not.toHaveBeenCalled();
+      expect(action.github.upsertComment).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('@swe-agent fix'), 5);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'unauthorized');
+    });
+  });
+
+  describe('resumeConfirmedRun', () => {
+    const pending = { commentId: 42, trigger: '@swe-agent fix --max-cost 2 the crash' };
+
+    it('should parse the held trigger again for a maintainer', async () => {
+      action.github.findPendingConfirmation.mockResolvedValue(pending);
+      const event = { type: 'issue_comment', comment: { author_association: 'MEMBER' } };
+
+      expect(await action.resumeConfirmedRun(event)).toBe(true);
+      expect(event.command).toMatchObject({ verb: 'fix', instructions: 'the crash', overrides: { maxCost: 2 }, errors: [] });
+      expect(event.confirmed).toBe(true);
+      expect(event.confirmationCommentId).toBe(42);
+    });
+
+    it('should resume a held review as that review', async () => {
+      action.github.findPendingConfirmation.mockResolvedValue({ ...pending, reviewId: 88 });
+      action.github.getPullRequest.mockResolvedValue({ number: 5, title: 'Add pagination' });
+      action.github.getReview.mockResolvedValue({ id: 88, body: '@swe-agent fix the crash' });
+      const event = { type: 'issue_comment', issue: { pull_request: {} }, comment: { author_association: 'MEMBER' } };
+
+      expect(await action.resumeConfirmedRun(event)).toBe(true);
+      expect(action.github.getReview).toHaveBeenCalledWith(event, 88);
+      expect(event).toMatchObject({
+        type: 'pull_request_review',
+        pullRequest: { number: 5 },
+        review: { id: 88 },
+        command: { verb: 'fix', instructions: 'the crash' }
+      });
+    });
+
+    it('should only look for confirmations posted by the action itself', async () => {
+      action.inputs.botLogin = 'my-app[bot]';
+      action.github.findPendingConfirmation.mockResolvedValue(null);
+      const event = { type: 'issue_comment', comment: { author_association: 'OWNER' } };
+
+      await action.resumeConfirmedRun(event);
+
+      expect(action.github.findPendingConfirmation).toHaveBeenCalledWith(event, 'my-app[bot]');
+    });
+
+    it('should refuse held triggers that no longer parse', async () => {
+      action.github.findPendingConfirmation.mockResolvedValue({ commentId: 42, trigger: '@swe-agent fix --max-cost 50' });
+      const event = { type: 'issue_comment', comment: { author_association: 'MEMBER' } };
+
+      expect(await action.resumeConfirmedRun(event)).toBe(false);
+      expect(event.confirmed).toBeUndefined();
+      expect(action.github.postErrorComment).toHaveBeenCalledWith(event, expect.stringContaining('cannot exceed the configured limit'));
+    });
+
+    it('should refuse confirmations from non-maintainers', async () => {
+      action.github.findPendingConfirmation.mockResolvedValue(pending);
+      const event = { type: 'issue_comment', comment: { author_association: 'CONTRIBUTOR' } };
+
+      expect(await action.resumeConfirmedRun(event)).toBe(false);
+      expect(event.confirmed).toBeUndefined();
+      expect(action.github.postErrorComment).toHaveBeenCalledWith(event, expect.stringContaining('cannot confirm runs'));
+    });
+
+    it('should explain when nothing is waiting', async () => {
+      action.github.findPendingConfirmation.mockResolvedValue(null);
+      const event = { type: 'issue_comment', comment: { author_association: 'OWNER' } };
+
+      expect(await action.resumeConfirmedRun(event)).toBe(false);
+      expect(action.github.postErrorComment).toHaveBeenCalledWith(event, expect.stringContaining('no SWE-agent run waiting'));
+    });
+  });
+
+  describe('pendingTrigger', () => {
+    it('should keep the comment that asked for the run', () => {
+      const event = { type: 'issue_comment', trigger: '@swe-agent test --tools bash', comment: {}, command: { verb: 'test' } };
+
+      expect(action.pendingTrigger(event)).toBe('@swe-agent test --tools bash');
+    });
+
+    it('should spell out the verb of runs started without a comment', () => {
+      const event = { type: 'pull_request', trigger: '@swe-agent', pullRequest: {}, command: { verb: 'review' } };
+
+      expect(action.pendingTrigger(event)).toBe('@swe-agent review');
+    });
+  });
+
+  describe('needsConfirmation', () => {
+    const config = { confirm_above: 1, confirm_label: 'swe-agent:confirm' };
+
+    it('should hold runs unless confirmed or labelled', () => {
+      expect(action.needsConfirmation({ issue: { labels: [] } }, config)).toBe(true);
+      expect(action.needsConfirmation({ issue: { labels: [] }, confirmed: true }, config)).toBe(false);
+      expect(action.needsConfirmation({ issue: { labels: ['swe-agent:confirm'] } }, config)).toBe(false);
+      expect(action.needsConfirmation({ issue: { labels: [] } }, { ...config, confirm_above: 0 })).toBe(false);
+    });
+  });
+
+  describe('resultStatus', () => {
+    it('should report why a run stopped early', () => {
+      expect(action.resultStatus({ success: false, budgetExceeded: true })).toBe('budget_exceeded');
+      expect(action.resultStatus({ success: false, timedOut: true })).toBe('timeout');
+      expect(action.resultStatus({ success: false, cancelled: true })).toBe('cancelled');
+      expect(action.resultStatus({ success: true })).toBe('success');
+    });
+
+    it('should report failed runs, including an exhausted fallback chain', () => {
+      expect(action.resultStatus({ success: false, error: 'Command failed with exit code 1' })).toBe('failure');
+      expect(action.resultStatus({
+        success: false,
+        attempts: [{ model: 'gpt-4o', final: false }, { model: 'deepseek/deepseek-chat', final: true }]
+      })).toBe('failure');
+    });
+  });
+
+  describe('eventLabels', () => {
+    it('should read label names from the issue', () => {
+      expect(action.eventLabels({ issue: { labels: [{ name: 'bug' }, 'cheap'] } })).toEqual(['bug', 'cheap']);
+    });
   });
 
   describe('formatErrorMessage', () => {
+    it('should report cancelled runs as cancelled', async () => {
+      const error = new Error('git was cancelled');
+      error.cancelled = true;
+
+      expect(action.formatErrorMessage(error)).toContain('🛑 **Cancelled**');
+
+      await action.handleError(error);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'cancelled');
+    });
+
     it('should format API key error', () => {
       const error = new Error('Missing API key for OpenAI');
       const message = action.formatErrorMessage(error);
@@ -143,6 +504,41 @@ describe('SWEAgentAction', () => {
       expect(message).toContain('Permission Error');
     });
 
+    it('should list repository config errors by key', () => {
+      const error = new Error('Invalid .github/swe-agent.yml');
+      error.code = 'EINVALIDCONFIG';
+      error.details = ['`labels.bug.max_cost`: must be a positive number'];
+
+      const message = action.formatErrorMessage(error);
+
+      expect(message).toContain('Invalid `.github/swe-agent.yml`');
+      expect(message).toContain('- `labels.bug.max_cost`: must be a positive number');
+    });
+
+    it('should explain clone failures', () => {
+      const error = new Error('Failed to clone acme/private: git clone failed: fatal: repository not found');
+      error.code = 'ECLONE';
+      error.repository = 'acme/private';
+      error.reason = 'git clone failed: fatal: repository not found';
+
+      const message = action.formatErrorMessage(error);
+
+      expect(message).toContain('Could not clone `acme/private`');
+      expect(message).toContain('fatal: repository not found');
+    });
+
+    it('should explain pull request checkout failures', () => {
+      const error = new Error("Failed to check out pull request #5: fatal: couldn't find remote ref pull/5/head");
+      error.code = 'ECHECKOUT';
+      error.pullRequest = 5;
+      error.reason = "fatal: couldn't find remote ref pull/5/head";
+
+      const message = action.formatErrorMessage(error);
+
+      expect(message).toContain('Could not check out pull request #5');
+      expect(message).toContain("couldn't find remote ref pull/5/head");
+    });
+
     it('should format generic error', () => {
       const error = new Error('Something went wrong');
       const message = action.formatErrorMessage(error);
@@ -0,0 +1,32 @@
+const { buildChildEnvironment } = require('../../utils/environment');
+
+describe('environment utilities', () => {
+  describe('buildChildEnvironment', () => {
+    const env = {
+      PATH: '/usr/bin',
+      HOME: '/home/runner',
+      GITHUB_TOKEN: 'ghs_secret',
+      OPENAI_API_KEY: 'openai-key',
+      OLLAMA_API_BASE: 'http://gpu-box:11434',
+      MY_PROXY_URL: 'http://proxy',
+      MY_PROXY_TOKEN: 'proxy-token',
+      UNRELATED: 'value'
+    };
+
+    it('should pass base variables and provider credentials only', () => {
+      expect(buildChildEnvironment([], env)).toEqual({
+        PATH: '/usr/bin',
+        HOME: '/home/runner',
+        OPENAI_API_KEY: 'openai-key',
+        OLLAMA_API_BASE: 'http://gpu-box:11434'
+      });
+    });
+
+    it('should add allowlisted names and prefixes', () => {
+      const childEnv = buildChildEnvironment(['UNRELATED', 'MY_PROXY_*'], env);
+
+      expect(childEnv).toMatchObject({ UNRELATED: 'value', MY_PROXY_URL: 'http://proxy', MY_PROXY_TOKEN: 'proxy-token' });
+      expect(childEnv.GITHUB_TOKEN).toBeUndefined();
+    });
+  });
+});
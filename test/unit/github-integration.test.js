@@ -0,0 +1,263 @@
+const GitHubIntegration = require('../../action/github-integration');
+const BotDetector = require('../../src/bot-detector');
+
+jest.mock('../../utils/logger');
+
+describe('GitHubIntegration', () => {
+  let github;
+
+  const baseResult = {
+    success: true,
+    summary: 'Fixed the bug',
+    costEstimate: 0.0123,
+    executionTime: 65000,
+    filesChanged: [{ path: 'app.js', action: 'modified', linesAdded: 2, linesRemoved: 1 }],
+    model: 'gpt-4o-mini'
+  };
+
+  beforeEach(() => {
+    github = new GitHubIntegration();
+  });
+
+  describe('formatResultComment', () => {
+    it('should link the opened pull request', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        branch: { name: 'swe-agent/issue-1', base: 'main' },
+        pullRequest: { number: 7, html_url: 'https://github.com/test/repo/pull/7' }
+      });
+
+      expect(body).toContain('### Pull Request');
+      expect(body).toContain('Opened #7: https://github.com/test/repo/pull/7');
+    });
+
+    it('should report publishing errors', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        publishError: 'git push failed: permission denied'
+      });
+
+      expect(body).toContain('⚠️ git push failed: permission denied');
+    });
+
+    it('should list fallback attempts when more than one model ran', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        attempts: [
+          { model: 'gpt-4o', reason: 'rate_limit', cost: 0.01 },
+          { model: 'gpt-4o-mini', reason: null, final: true, cost: 0.0023 }
+        ]
+      });
+
+      expect(body).toContain('### Model Attempts');
+      expect(body).toContain('abandoned: rate limited by provider');
+      expect(body).toContain('used for result');
+    });
+
+    it('should flag costs computed at default rates', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        model: 'hosted_vllm/my-model',
+        usage: { inputTokens: 1000, outputTokens: 100, apiCalls: 2, cost: 0.0012, source: 'trajectory', priced: false }
+      });
+
+      expect(body).toContain('No known price for `hosted_vllm/my-model`; default rates were used');
+    });
+  });
+
+  describe('formatResultComment templates', () => {
+    it('should render the repository template', () => {
+      const body = github.formatResultComment(baseResult, {
+        success: '{{summary}} using {{ model }} for {{cost}}{{unknown}}'
+      });
+
+      expect(body).toBe('Fixed the bug using gpt-4o-mini for $0.0123');
+    });
+  });
+
+  describe('formatChanges', () => {
+    it('should show renames, binary files and mode changes', () => {
+      const changes = github.formatChanges([
+        { path: 'lib/b.js', oldPath: 'lib/a.js', action: 'renamed', linesAdded: 1, linesRemoved: 1 },
+        { path: 'logo.png', action: 'modified', binary: true },
+        { path: 'run.sh', action: 'modified', oldMode: '100644', newMode: '100755' }
+      ]);
+
+      expect(changes).toContain('🚚 `lib/a.js` → `lib/b.js` (+1/-1)');
+      expect(changes).toContain('✏️ `logo.png` (binary)');
+      expect(changes).toContain('✏️ `run.sh` (mode 100644 → 100755)');
+    });
+  });
+
+  describe('formatResultComment failures', () => {
+    it('should show the partial patch when the budget was exceeded', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        success: false,
+        budgetExceeded: true,
+        error: 'Budget limit of $0.50 reached; SWE-agent was stopped',
+        partialPatch: 'diff --git a/app.js b/app.js'
+      });
+
+      expect(body).toContain('💸 **Budget Exceeded**: Budget limit of $0.50 reached');
+      expect(body).toContain('<summary>Partial patch from the interrupted run</summary>');
+      expect(body).toContain('diff --git a/app.js b/app.js');
+    });
+
+    it('should label timed out runs', () => {
+      const body = github.formatResultComment({
+        ...baseResult,
+        success: false,
+        timedOut: true,
+        error: 'SWE-agent did not finish within the 300s workspace_timeout and was stopped',
+        partialPatch: 'diff --git a/app.js b/app.js'
+      });
+
+      expect(body).toContain('⏱️ **Timed Out**: SWE-agent did not finish within the 300s workspace_timeout');
+      expect(body).toContain('Partial patch from the interrupted run');
+    });
+  });
+
+  describe('confirmation requests', () => {
+    const request = {
+      estimate: { model: 'gpt-4o', cost: 2.5, capped: false, problemTokens: 1200, repoFiles: 340 },
+      config: { confirm_above: 1, confirm_label: 'swe-agent:confirm', max_cost: 5 },
+      trigger: '@swe-agent fix --model gpt-4o the crash',
+      triggerPhrase: '@swe-agent'
+    };
+    const self = { login: 'github-actions[bot]', type: 'Bot' };
+
+    it('should round-trip the held trigger through the comment', async () => {
+      const comment = await github.postConfirmationRequest({}, request, 7);
+
+      expect(comment.body).toContain('estimated to cost **$2.50** with `gpt-4o`');
+      expect(comment.body).toContain('replying `@swe-agent confirm`');
+
+      const pending = github.parsePendingConfirmation([
+        { id: 3, user: { login: 'someone', type: 'User' }, body: 'unrelated' },
+        { id: 7, user: self, body: comment.body }
+      ]);
+
+      expect(pending).toEqual({ commentId: 7, trigger: request.trigger });
+    });
+
+    it('should keep the review a held run came from', async () => {
+      const comment = await github.postConfirmationRequest({}, { ...request, reviewId: 88 }, 7);
+
+      expect(github.parsePendingConfirmation([{ id: 7, user: self, body: comment.body }]))
+        .toEqual({ commentId: 7, trigger: request.trigger, reviewId: 88 });
+    });
+
+    it('should ignore markers posted by users and other bots', async () => {
+      const comment = await github.postConfirmationRequest({}, request, 7);
+
+      expect(github.parsePendingConfirmation([
+        { id: 8, user: { login: 'someone', type: 'User' }, body: comment.body },
+        { id: 9, user: { login: 'other-app[bot]', type: 'Bot' }, body: comment.body }
+      ])).toBeNull();
+    });
+
+    it('should only accept markers from the configured bot login', async () => {
+      const comment = await github.postConfirmationRequest({}, request, 7);
+      const comments = [
+        { id: 7, user: self, body: comment.body },
+        { id: 9, user: { login: 'My-App[bot]', type: 'Bot' }, body: comment.body }
+      ];
+
+      expect(github.parsePendingConfirmation(comments, 'my-app[bot]')).toEqual({ commentId: 9, trigger: request.trigger });
+      expect(github.parsePendingConfirmation(comments.slice(0, 1), 'my-app[bot]')).toBeNull();
+    });
+
+    it('should ignore markers that hold anything but trigger text', () => {
+      const forged = Buffer.from(JSON.stringify({ command: { overrides: { envPassthrough: '*' } } })).toString('base64');
+
+      expect(github.parsePendingConfirmation([
+        { id: 7, user: self, body: `<!-- swe-agent:pending-confirmation ${forged} -->` }
+      ])).toBeNull();
+    });
+  });
+
+  describe('formatThreadReply', () => {
+    const branch = { sha: 'abc1234def' };
+    const comment = { path: 'src/pager.js' };
+
+    it('should describe each thread outcome', () => {
+      expect(github.formatThreadReply('addressed', comment, branch)).toBe('✅ Addressed in `abc1234`.');
+      expect(github.formatThreadReply('file_changed', comment, branch)).toContain('`src/pager.js` was changed in `abc1234`');
+      expect(github.formatThreadReply('not_addressed', comment, branch)).toBe('⏭️ Not addressed by `abc1234`.');
+      expect(github.formatThreadReply('not_addressed', comment, null)).toContain('did not push any changes');
+    });
+  });
+
+  describe('formatPullRequestBody', () => {
+    it('should close the issue that triggered the run', () => {
+      const body = github.formatPullRequestBody({ issueNumber: 12, issue: {} }, baseResult);
+
+      expect(body).toContain('Fixes #12');
+      expect(body).toContain('Fixed the bug');
+    });
+  });
+
+  describe('upsertComment', () => {
+    const event = { issueNumber: 3, repository: { name: 'repo', owner: { login: 'owner' } } };
+
+    it('should update the status comment when one exists', async () => {
+      jest.spyOn(github, 'updateComment').mockResolvedValue({ id: 10 });
+
+      await github.upsertComment(event, 'final body', 10);
+
+      expect(github.updateComment).toHaveBeenCalledWith(10, 'final body', event);
+    });
+
+    it('should create a comment when there is no status comment', async () => {
+      const createComment = jest.fn().mockResolvedValue({ data: { id: 11 } });
+      github.octokit = { rest: { issues: { createComment } } };
+
+      const comment = await github.upsertComment(event, 'final body');
+
+      expect(comment.id).toBe(11);
+      expect(createComment).toHaveBeenCalledWith(expect.objectContaining({
+        issue_number: 3,
+        body: `final body\n${BotDetector.MARKER}`
+      }));
+    });
+
+    it('should reply in the review thread of inline comments', async () => {
+      const createReplyForReviewComment = jest.fn().mockResolvedValue({ data: { id: 12 } });
+      github.octokit = { rest: { pulls: { createReplyForReviewComment } } };
+      const reviewEvent = { ...event, type: 'pull_request_review_comment', comment: { id: 21, in_reply_to_id: 20 } };
+
+      const comment = await github.upsertComment(reviewEvent, 'working');
+
+      // Replies go to the thread's first comment even when triggered from a reply
+      expect(comment.id).toBe(12);
+      expect(createReplyForReviewComment).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 3, comment_id: 20 }));
+    });
+  });
+
+  describe('postReview', () => {
+    const event = {
+      issueNumber: 4,
+      repository: { name: 'repo', owner: { login: 'owner' } },
+      pullRequest: { head: { sha: 'abc123' } }
+    };
+
+    it('should post the result as a comment-only review on the head commit', async () => {
+      const createReview = jest.fn().mockResolvedValue({ data: { id: 30, html_url: 'https://github.com/owner/repo/pull/4#pullrequestreview-30' } });
+      github.octokit = { rest: { pulls: { createReview } } };
+      jest.spyOn(github, 'updateComment').mockResolvedValue({ id: 10 });
+      const result = { ...baseResult };
+
+      await github.postReview(event, result, 10);
+
+      expect(createReview).toHaveBeenCalledWith(expect.objectContaining({
+        pull_number: 4,
+        commit_id: 'abc123',
+        event: 'COMMENT',
+        body: expect.stringContaining(BotDetector.MARKER)
+      }));
+      expect(result.commentUrl).toBe('https://github.com/owner/repo/pull/4#pullrequestreview-30');
+      expect(github.updateComment).toHaveBeenCalledWith(10, expect.stringContaining('Review posted'), event);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const PricingCatalogue = require('../../src/pricing-catalogue');
+const logger = require('../../utils/logger');
+
+jest.mock('../../utils/logger');
+
+describe('PricingCatalogue', () => {
+  let catalogue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    catalogue = new PricingCatalogue();
+  });
+
+  describe('lookup', () => {
+    it('should price prefixed models like their bare name', () => {
+      expect(catalogue.lookup('openai/gpt-4o')).toEqual(catalogue.lookup('gpt-4o'));
+      expect(catalogue.lookup('openai/gpt-4o').source).toBe('catalogue');
+    });
+
+    it('should fall back to default prices for unknown models', () => {
+      expect(catalogue.lookup('mistral-large-2407')).toEqual({
+        price: { input: 1, output: 2 },
+        known: false,
+        source: 'default'
+      });
+    });
+
+    it('should prefer repository overrides over the catalogue', () => {
+      catalogue.setOverrides({ 'gpt-4o': { input: 2.5, output: 10 } });
+
+      expect(catalogue.lookup('gpt-4o')).toEqual({
+        price: { input: 2.5, output: 10 },
+        known: true,
+        source: 'override'
+      });
+    });
+  });
+
+  describe('price', () => {
+    it('should price tokens per million', () => {
+      expect(catalogue.price('gpt-4o', { inputTokens: 1000000, outputTokens: 100000 })).toBeCloseTo(6.5, 10);
+    });
+
+    it('should charge cached prompt tokens at the cached rate', () => {
+      const cost = catalogue.price('gpt-4o', { inputTokens: 1000000, cachedInputTokens: 400000 });
+
+      expect(cost).toBeCloseTo(0.6 * 5 + 0.4 * 2.5, 10);
+    });
+
+    it('should warn once per unknown model', () => {
+      catalogue.price('my-model', { inputTokens: 10 });
+      catalogue.price('my-model', { inputTokens: 10 });
+
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No known price'), expect.objectContaining({ model: 'my-model' }));
+    });
+  });
+
+  describe('parse', () => {
+    it('should accept YAML and JSON pricing files', () => {
+      const expected = { 'ollama/llama3': { input: 0, output: 0 } };
+
+      expect(catalogue.parse("'ollama/llama3': { input: 0, output: 0 }")).toEqual(expected);
+      expect(catalogue.parse('{"ollama/llama3": {"input": 0, "output": 0}}')).toEqual(expected);
+      expect(catalogue.parse('')).toEqual({});
+    });
+
+    it('should name the file and offending keys in validation errors', () => {
+      expect(() => catalogue.parse('gpt-4o: { input: -1 }', 'prices.yml'))
+        .toThrow('Invalid prices.yml: `gpt-4o.input`: must be greater than or equal to 0; `gpt-4o.output`: is required');
+    });
+
+    it('should report syntax errors', () => {
+      expect(() => catalogue.parse('gpt-4o: [', 'prices.yml')).toThrow(/^Invalid prices\.yml: /);
+    });
+  });
+});
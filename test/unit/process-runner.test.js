@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessRunner = require('../../action/process-runner');
+
+describe('ProcessRunner', () => {
+  let runner;
+  let tempDir;
+
+  const node = (script, args = [], options = {}) =>
+    runner.run(process.execPath, ['-e', script, '--', ...args], options);
+
+  // A killed orphan stays a zombie until init reaps it, which some containers never do
+  const isRunning = (pid) => {
+    try {
+      process.kill(pid, 0);
+    } catch (error) {
+      return false;
+    }
+
+    const stat = fs.existsSync(`/proc/${pid}/stat`) && fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return !stat || stat.split(' ')[2] !== 'Z';
+  };
+
+  beforeEach(() => {
+    runner = new ProcessRunner();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-runner-'));
+  });
+
+  afterEach(() => {
+    ProcessRunner.reset();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should pass hostile arguments through literally', async () => {
+    const marker = path.join(tempDir, 'pwned');
+    const hostile = [
+      `; touch ${marker}`,
+      `$(touch ${marker})`,
+      `\`touch ${marker}\``,
+      `a && touch ${marker}`,
+      'file with spaces.js',
+      '"quoted" \'single\' | > < *',
+      '--upload-pack=touch /tmp/x'
+    ];
+
+    const result = await node('console.log(JSON.stringify(process.argv.slice(1)))', hostile);
+
+    expect(JSON.parse(result.stdout)).toEqual(hostile);
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+
+  it('should not treat the command itself as a shell line', async () => {
+    const marker = path.join(tempDir, 'pwned');
+
+    await expect(runner.run(`git status; touch ${marker}`)).rejects.toThrow();
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+
+  it('should refuse arguments that are not plain strings', async () => {
+    await expect(runner.run('git', ['clone', { toString: () => '--upload-pack=x' }])).rejects.toThrow('Argument 1 for git');
+    await expect(runner.run('git', ['clone', 'a\0b'])).rejects.toThrow('without NUL bytes');
+    await expect(runner.run('git', 'clone url')).rejects.toThrow('must be an array');
+    await expect(runner.run('')).rejects.toThrow('non-empty string');
+  });
+
+  it('should use the given cwd, env and stdin', async () => {
+    const result = await node(
+      'let input = ""; process.stdin.on("data", d => { input += d; }); process.stdin.on("end", () => console.log(process.cwd(), process.env.RUN_LABEL, input));',
+      [],
+      { cwd: tempDir, env: { RUN_LABEL: '$(whoami)' }, stdin: 'from stdin' }
+    );
+
+    expect(result.stdout.trim()).toBe(`${fs.realpathSync(tempDir)} $(whoami) from stdin`);
+  });
+
+  it('should run with only the given environment when inheritance is off', async () => {
+    process.env.PROCESS_RUNNER_SECRET = 'secret';
+
+    try {
+      const result = await node('console.log(process.env.PROCESS_RUNNER_SECRET || "unset")', [], {
+        env: { PATH: process.env.PATH },
+        inheritEnv: false
+      });
+
+      expect(result.stdout.trim()).toBe('unset');
+    } finally {
+      delete process.env.PROCESS_RUNNER_SECRET;
+    }
+  });
+
+  it('should hand over complete lines while the command runs', async () => {
+    const lines = [];
+
+    await node(
+      'process.stdout.write("one\\ntw"); setTimeout(() => { process.stdout.write("o\\r\\nthree"); console.error("err"); }, 50)',
+      [],
+      { onLine: (line, stream) => lines.push([stream, line]) }
+    );
+
+    expect(lines).toEqual(expect.arrayContaining([['stdout', 'one'], ['stdout', 'two'], ['stdout', 'three'], ['stderr', 'err']]));
+    expect(lines.filter(([stream]) => stream === 'stdout').map(([, line]) => line)).toEqual(['one', 'two', 'three']);
+  });
+
+  it('should keep only the end of output beyond the cap', async () => {
+    const result = await node('process.stdout.write("a".repeat(5000) + "END")', [], { maxOutput: 100 });
+
+    expect(result.stdout).toHaveLength(100);
+    expect(result.stdout.endsWith('END')).toBe(true);
+    expect(result.truncated).toBe(true);
+  });
+
+  it('should report the exit code and output of failed commands', async () => {
+    const error = await node('console.error("boom"); process.exit(3)').catch(e => e);
+
+    expect(error.code).toBe(3);
+    expect(error.stderr.trim()).toBe('boom');
+  });
+
+  it('should stop commands that run past the timeout', async () => {
+    const error = await node('setTimeout(() => {}, 10000)', [], { timeout: 200 }).catch(e => e);
+
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(error.timedOut).toBe(true);
+    expect(error.message).toContain('timed out after 200ms');
+  });
+
+  it('should stop the whole process group, not only the direct child', async () => {
+    const pidFile = path.join(tempDir, 'grandchild.pid');
+    const script = `
+      const { spawn } = require('child_process');
+      const grandchild = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { stdio: 'ignore' });
+      require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(grandchild.pid));
+      setTimeout(() => {}, 30000);
+    `;
+
+    await node(script, [], { timeout: 500 }).catch(e => e);
+    const grandchildPid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(isRunning(grandchildPid)).toBe(false);
+  });
+
+  it('should follow up with SIGKILL when SIGTERM is ignored', async () => {
+    const started = Date.now();
+    const error = await node(
+      'process.on("SIGTERM", () => console.log("ignoring SIGTERM")); setTimeout(() => {}, 30000); console.log("ready")',
+      [],
+      { timeout: 300, killGrace: 300 }
+    ).catch(e => e);
+
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(error.stdout).toContain('ignoring SIGTERM');
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+
+  it('should let a program finish its output after SIGTERM', async () => {
+    const error = await node(
+      'process.on("SIGTERM", () => { console.log("trajectory saved"); process.exit(143); }); setTimeout(() => {}, 30000)',
+      [],
+      { timeout: 300 }
+    ).catch(e => e);
+
+    expect(error.stdout).toContain('trajectory saved');
+  });
+
+  it('should stop running commands when the run is cancelled or aborted', async () => {
+    const controller = new AbortController();
+    const cancelled = node('setTimeout(() => {}, 30000)').catch(e => e);
+    const aborted = node('setTimeout(() => {}, 30000)', [], { signal: controller.signal }).catch(e => e);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    controller.abort();
+    ProcessRunner.terminateAll();
+
+    expect((await cancelled).cancelled).toBe(true);
+    expect((await aborted).code).toBe('ABORT_ERR');
+  });
+
+  it('should refuse commands started after a cancellation, except cleanup', async () => {
+    ProcessRunner.terminateAll();
+
+    const error = await node('console.log("started")').catch(e => e);
+    const cleanup = await node('console.log("cleaned up")', [], { afterCancel: true });
+
+    expect(error).toMatchObject({ code: 'ECANCELED', cancelled: true });
+    expect(error.message).toContain('was cancelled');
+    expect(cleanup.stdout.trim()).toBe('cleaned up');
+
+    ProcessRunner.reset();
+    expect((await node('console.log("again")')).stdout.trim()).toBe('again');
+  });
+});
@@ -0,0 +1,68 @@
+const core = require('@actions/core');
+const ProgressReporter = require('../../action/progress-reporter');
+
+jest.mock('@actions/core');
+jest.mock('../../utils/logger');
+
+describe('ProgressReporter', () => {
+  let statusComment;
+  let clock;
+  let reporter;
+
+  const action = (step, command, elapsedMs = 0) => ({ type: 'action', step, action: command, elapsedMs });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = 0;
+    statusComment = { update: jest.fn().mockResolvedValue() };
+    reporter = new ProgressReporter(statusComment, { detail: '`gpt-4o`', interval: 30000, now: () => clock });
+  });
+
+  it('should open one log group per step', async () => {
+    reporter.progress({ type: 'step', step: 1, action: null, elapsedMs: 0 });
+    reporter.progress({ type: 'thought', step: 1, action: null, elapsedMs: 0 });
+    reporter.progress({ type: 'step', step: 2, action: null, elapsedMs: 65000 });
+    await reporter.finish();
+
+    expect(core.startGroup.mock.calls).toEqual([
+      ['SWE-agent step 1 (0s elapsed)'],
+      ['SWE-agent step 2 (65s elapsed)']
+    ]);
+    expect(core.endGroup).toHaveBeenCalledTimes(2);
+  });
+
+  it('should neutralize workflow commands in agent output', () => {
+    reporter.line('::add-mask::secret');
+    reporter.line('  ::set-env name=PATH::/tmp');
+    reporter.line('a :: b');
+
+    expect(core.info.mock.calls.map(call => call[0])).toEqual([
+      ':\u200b:add-mask::secret',
+      '  :\u200b:set-env name=PATH::/tmp',
+      'a :: b'
+    ]);
+  });
+
+  it('should refresh the status comment at most once per interval', async () => {
+    reporter.progress(action(1, 'ls'));
+    await reporter.finish();
+    clock = 10000;
+    reporter.progress(action(2, 'cat `app.js`'));
+    clock = 31000;
+    reporter.progress(action(3, 'cat `app.js`'));
+    await reporter.finish();
+
+    expect(statusComment.update.mock.calls).toEqual([
+      ['running', '`gpt-4o` — step 1: `ls`'],
+      ['running', "`gpt-4o` — step 3: `cat 'app.js'`"]
+    ]);
+  });
+
+  it('should leave the status comment alone with a zero interval', () => {
+    reporter = new ProgressReporter(statusComment, { interval: 0 });
+
+    reporter.progress(action(1, 'ls'));
+
+    expect(statusComment.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const ProviderRegistry = require('../../src/provider-registry');
+
+describe('ProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+  });
+
+  describe('resolve', () => {
+    it('should route by LiteLLM prefix before looking at the model name', () => {
+      expect(registry.resolve('openrouter/meta-llama/llama-3.1-70b-instruct').provider).toBe('openrouter');
+      expect(registry.resolve('anthropic/claude-3-5-sonnet-latest').provider).toBe('anthropic');
+      expect(registry.resolve('groq/llama-3.1-8b-instant').provider).toBe('groq');
+      expect(registry.resolve('azure/my-gpt4-deployment').provider).toBe('azure');
+      expect(registry.resolve('ollama/llama3').provider).toBe('ollama');
+      expect(registry.resolve('bedrock/anthropic.claude-3-sonnet').provider).toBe('bedrock');
+    });
+
+    it('should refuse prefixes no provider is registered for', () => {
+      for (const model of ['gemini/gemini-1.5-pro', 'mistral/mistral-large-latest', 'vertex_ai/gemini-pro', 'together_ai/llama-3']) {
+        expect(() => registry.resolve(model)).toThrow(`Unknown provider prefix "${model.split('/')[0]}"`);
+      }
+      expect(() => registry.resolveApiKey('gemini/gemini-1.5-pro', { OPENAI_API_KEY: 'sk' })).toThrow('Known prefixes: openai, anthropic');
+    });
+
+    it('should resolve known and family model names without a prefix', () => {
+      expect(registry.resolve('gpt-4o-mini').provider).toBe('openai');
+      expect(registry.resolve('o1-preview').provider).toBe('openai');
+      expect(registry.resolve('claude-3-opus-20240229').provider).toBe('anthropic');
+    });
+
+    it('should not match model families in the middle of a name', () => {
+      // Contains "o1" but is not an OpenAI o1 model
+      expect(registry.resolve('deepseek/deepseek-coder-v2-0614').provider).toBe('deepseek');
+      expect(registry.resolve('mistral-large-2407').known).toBe(false);
+    });
+
+    it('should share metadata between prefixed and bare names', () => {
+      const bare = registry.resolve('claude-3-5-sonnet-latest');
+      const prefixed = registry.resolve('anthropic/claude-3-5-sonnet-latest');
+
+      expect(prefixed.pricing).toEqual(bare.pricing);
+      expect(prefixed.contextWindow).toBe(200000);
+    });
+
+    it('should expose provider metadata', () => {
+      expect(registry.resolve('groq/mixtral-8x7b-32768')).toMatchObject({
+        name: 'Groq',
+        apiKeyEnv: 'GROQ_API_KEY',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        contextWindow: 32768,
+        known: true
+      });
+    });
+  });
+
+  describe('resolveApiKey', () => {
+    it('should read the provider key from the environment', () => {
+      expect(registry.resolveApiKey('openrouter/meta-llama/llama-3', { OPENROUTER_API_KEY: 'or-key', GROQ_API_KEY: 'groq-key' }))
+        .toBe('or-key');
+    });
+
+    it('should name the missing variable', () => {
+      expect(() => registry.resolveApiKey('claude-3-haiku', {}))
+        .toThrow('ANTHROPIC_API_KEY environment variable is required for Anthropic models');
+    });
+
+    it('should not require a key for local providers', () => {
+      expect(registry.resolveApiKey('ollama/llama3', {})).toBeNull();
+    });
+  });
+
+  describe('priceTokens', () => {
+    it('should price known models and fall back to default pricing', () => {
+      expect(registry.priceTokens('gpt-4o', 1000, 1000)).toBeCloseTo(0.02, 10);
+      expect(registry.priceTokens('unknown-model', 1000, 1000)).toBeCloseTo(0.003, 10);
+    });
+  });
+
+  it('should list providers with configured credentials', () => {
+    expect(registry.availableProviders({ OPENAI_API_KEY: 'x', GROQ_API_KEY: 'y' })).toEqual(['openai', 'groq']);
+  });
+});
@@ -0,0 +1,107 @@
+const RepoConfig = require('../../src/repo-config');
+
+describe('RepoConfig', () => {
+  let repoConfig;
+
+  beforeEach(() => {
+    repoConfig = new RepoConfig();
+  });
+
+  describe('parse', () => {
+    it('should accept a complete configuration', () => {
+      const config = repoConfig.parse(`
+model: claude-3-5-sonnet-latest
+fallback_models: [gpt-4o]
+tools: [str_replace_editor, bash]
+max_cost: 3
+labels:
+  quick-fix:
+    model: gpt-4o-mini
+    max_cost: 0.5
+protected_paths: ['.github/']
+templates:
+  success: 'Done: {{summary}}'
+allowed_users: [octocat]
+`);
+
+      expect(config.model).toBe('claude-3-5-sonnet-latest');
+      expect(config.labels['quick-fix'].max_cost).toBe(0.5);
+      expect(config.allowed_users).toEqual(['octocat']);
+    });
+
+    it('should validate the authorization policy', () => {
+      const config = repoConfig.parse(`
+allowed_associations: [owner, MEMBER]
+allowed_teams: [my-org/maintainers]
+denied_users: [spammer]
+`);
+
+      expect(config.allowed_associations).toEqual(['OWNER', 'MEMBER']);
+      expect(() => repoConfig.parse('allowed_teams: [maintainers]')).toThrow('`allowed_teams.0`: must be "org/team-slug"');
+      expect(() => repoConfig.parse('allowed_associations: [FRIEND]')).toThrow(/`allowed_associations\.0`: must be one of/);
+    });
+
+    it('should validate the step limit and parse function', () => {
+      expect(repoConfig.parse('max_iterations: 15\nparse_function: thought_action\n'))
+        .toEqual({ max_iterations: 15, parse_function: 'thought_action' });
+      expect(() => repoConfig.parse('max_iterations: 0')).toThrow('`max_iterations`: must be a positive number');
+      expect(() => repoConfig.parse('parse_function: regex')).toThrow(/`parse_function`: must be one of/);
+    });
+
+    it('should treat an empty file as an empty configuration', () => {
+      expect(repoConfig.parse('')).toEqual({});
+    });
+
+    it('should point at every offending key', () => {
+      let error;
+      try {
+        repoConfig.parse(`
+modle: gpt-4o
+tools: [bash, teleport]
+labels:
+  bug:
+    max_cost: -1
+`);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe('EINVALIDCONFIG');
+      expect(error.details).toEqual(expect.arrayContaining([
+        '`modle`: is not allowed',
+        expect.stringMatching(/^`tools\.1`: must be one of/),
+        '`labels.bug.max_cost`: must be a positive number'
+      ]));
+    });
+
+    it('should report YAML syntax errors with a line number', () => {
+      expect(() => repoConfig.parse('model: gpt-4o\ntools: [bash\n')).toThrow(/Invalid \.github\/swe-agent\.yml: line \d+/);
+    });
+  });
+
+  describe('findProtected', () => {
+    const files = [
+      { path: '.github/workflows/ci.yml' },
+      { path: 'src/app.js' },
+      { path: 'db/new.sql', oldPath: 'migrations/001.sql' },
+      { path: 'package-lock.json' }
+    ];
+
+    it('should match directories, globs and rename sources', () => {
+      const matched = repoConfig.findProtected(files, ['.github/', 'migrations/**', '*.json']);
+
+      expect(matched).toEqual(['.github/workflows/ci.yml', 'migrations/001.sql', 'package-lock.json']);
+    });
+
+    it('should keep single stars within one directory', () => {
+      expect(repoConfig.matchesPath('src/*.js', 'src/app.js')).toBe(true);
+      expect(repoConfig.matchesPath('src/*.js', 'src/lib/app.js')).toBe(false);
+      expect(repoConfig.matchesPath('src/**/*.js', 'src/app.js')).toBe(true);
+      expect(repoConfig.matchesPath('src/**/*.js', 'src/lib/app.js')).toBe(true);
+    });
+
+    it('should return nothing without patterns', () => {
+      expect(repoConfig.findProtected(files, [])).toEqual([]);
+    });
+  });
+});
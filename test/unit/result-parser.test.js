@@ -98,6 +98,32 @@ describe('ResultParser', () => {
       expect(changes.some(c => c.path === 'auth.js')).toBe(true);
     });
 
+    it('should prefer the patch over stdout when one was produced', () => {
+      const result = {
+        stdout: 'Modified file: unrelated.js +99',
+        output: {
+          'issue-1.patch': 'diff --git a/app.js b/app.js\n--- a/app.js\n+++ b/app.js\n@@ -1 +1,2 @@\n-a\n+b\n+c\n'
+        }
+      };
+
+      const changes = resultParser.extractFileChanges(result);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ path: 'app.js', action: 'modified', linesAdded: 2, linesRemoved: 1 });
+    });
+
+    it('should use the workspace diff when there is no patch output', () => {
+      const result = {
+        stdout: '',
+        output: {},
+        diff: 'diff --git a/new.js b/new.js\nnew file mode 100644\n--- /dev/null\n+++ b/new.js\n@@ -0,0 +1 @@\n+x\n'
+      };
+
+      expect(resultParser.extractFileChanges(result)).toEqual([
+        expect.objectContaining({ path: 'new.js', action: 'added', linesAdded: 1 })
+      ]);
+    });
+
     it('should handle empty changes', () => {
       const result = {
         stdout: 'No file operations performed',
@@ -109,6 +135,171 @@ describe('ResultParser', () => {
     });
   });
 
+  describe('extractPatch', () => {
+    it('should read model_patch from preds.json', () => {
+      const result = {
+        output: {
+          'preds.json': { 'issue-1': { instance_id: 'issue-1', model_patch: 'diff --git a/x b/x' } }
+        }
+      };
+
+      expect(resultParser.extractPatch(result)).toBe('diff --git a/x b/x');
+    });
+
+    it('should fall back to .patch output files', () => {
+      const result = { output: { 'issue-1.patch': 'diff --git a/y b/y\n' } };
+
+      expect(resultParser.extractPatch(result)).toBe('diff --git a/y b/y\n');
+    });
+
+    it('should salvage the latest diff from an interrupted trajectory', () => {
+      const result = {
+        output: {
+          'issue-1.traj': {
+            info: {},
+            trajectory: [{ state: { diff: 'first diff' } }, { state: { diff: 'latest diff' } }, { state: {} }]
+          }
+        }
+      };
+
+      expect(resultParser.extractPatch(result)).toBe('latest diff');
+    });
+
+    it('should return null when no patch was produced', () => {
+      expect(resultParser.extractPatch({ output: { 'summary.json': {} } })).toBeNull();
+    });
+  });
+
+  describe('classifyFailure', () => {
+    it('should classify provider failures from stderr', () => {
+      const failure = (stderr) => ({ success: false, error: 'Command failed', stderr });
+
+      expect(resultParser.classifyFailure(failure('litellm.AuthenticationError: Incorrect API key'))).toBe('auth');
+      expect(resultParser.classifyFailure(failure('RateLimitError: 429'))).toBe('rate_limit');
+      expect(resultParser.classifyFailure(failure('ContextWindowExceededError'))).toBe('context_length');
+      expect(resultParser.classifyFailure(failure('anthropic.InternalServerError: overloaded'))).toBe('server_error');
+    });
+
+    it('should not classify unrelated failures or successes', () => {
+      expect(resultParser.classifyFailure({ success: false, stderr: 'SyntaxError: bad patch' })).toBeNull();
+      expect(resultParser.classifyFailure({ success: true, stderr: 'RateLimitError' })).toBeNull();
+    });
+  });
+
+  describe('assessReviewComments', () => {
+    const filesChanged = [{
+      path: 'src/pager.js',
+      oldPath: null,
+      hunks: [{ oldStart: 10, oldLines: 3, newStart: 10, newLines: 4 }]
+    }, {
+      path: 'README.md',
+      oldPath: null,
+      hunks: []
+    }];
+    const branch = { name: 'feature', sha: 'abc1234def', pushedToPullRequest: true };
+
+    it('should tell addressed comments from ones elsewhere in a changed file', () => {
+      const comments = [
+        { id: 1, path: 'src/pager.js', line: 11, side: 'RIGHT' },
+        { id: 2, path: 'src/pager.js', start_line: 40, line: 42, side: 'RIGHT' },
+        { id: 3, path: 'README.md', line: 3, side: 'RIGHT' },
+        { id: 4, path: 'src/other.js', line: 1, side: 'RIGHT' }
+      ];
+
+      const statuses = resultParser.assessReviewComments(comments, filesChanged, branch).map(thread => thread.status);
+
+      expect(statuses).toEqual(['addressed', 'file_changed', 'addressed', 'not_addressed']);
+    });
+
+    it('should not count anything as addressed without a pushed commit', () => {
+      const threads = resultParser.assessReviewComments([{ id: 1, path: 'src/pager.js', line: 11 }], filesChanged, null);
+
+      expect(threads[0].status).toBe('not_addressed');
+    });
+  });
+
+  describe('calculateUsage', () => {
+    const trajectory = (stats) => ({ info: { exit_status: 'submitted', model_stats: stats } });
+
+    it('should read usage and provider cost from trajectories', () => {
+      const result = {
+        stdout: 'x'.repeat(4000),
+        output: {
+          'issue-1.traj': trajectory({ tokens_sent: 12000, tokens_received: 800, api_calls: 9, instance_cost: 0.42 })
+        }
+      };
+
+      const usage = resultParser.calculateUsage('gpt-4o', result);
+
+      expect(usage).toEqual({
+        inputTokens: 12000,
+        outputTokens: 800,
+        apiCalls: 9,
+        cost: 0.42,
+        source: 'trajectory',
+        priced: true
+      });
+    });
+
+    it('should price tokens when the provider reports no cost', () => {
+      const result = {
+        output: {
+          'issue-1.traj': trajectory({ tokens_sent: 10000, tokens_received: 1000, api_calls: 3, instance_cost: 0 })
+        }
+      };
+
+      const usage = resultParser.calculateUsage('gpt-4o', result);
+
+      expect(usage.cost).toBeCloseTo(0.065, 6);
+      expect(usage.priced).toBe(true);
+    });
+
+    it('should flag token counts priced at default rates', () => {
+      const result = {
+        output: {
+          'issue-1.traj': trajectory({ tokens_sent: 1000000, tokens_received: 0, api_calls: 1, instance_cost: 0 })
+        }
+      };
+
+      const usage = resultParser.calculateUsage('hosted_vllm/my-model', result);
+
+      expect(usage.cost).toBeCloseTo(1, 6);
+      expect(usage.priced).toBe(false);
+    });
+
+    it('should use repository price overrides', () => {
+      resultParser.setPricing({ 'hosted_vllm/my-model': { input: 0.5, output: 1 } });
+      const result = {
+        output: {
+          'issue-1.traj': trajectory({ tokens_sent: 1000000, tokens_received: 1000000, api_calls: 1, instance_cost: 0 })
+        }
+      };
+
+      const usage = resultParser.calculateUsage('hosted_vllm/my-model', result);
+
+      expect(usage.cost).toBeCloseTo(1.5, 6);
+      expect(usage.priced).toBe(true);
+    });
+
+    it('should fall back to an estimate without trajectories', () => {
+      const usage = resultParser.calculateUsage('gpt-4o-mini', { stdout: 'output', output: {} });
+
+      expect(usage.source).toBe('estimate');
+      expect(usage.cost).toBeGreaterThan(0);
+    });
+
+    it('should report trajectory cost in parsed results', () => {
+      const result = resultParser.parse({
+        success: true,
+        stdout: 'SUMMARY: done',
+        output: { 'a.traj': trajectory({ tokens_sent: 10, tokens_received: 5, api_calls: 1, instance_cost: 1.5 }) }
+      }, { model: 'gpt-4o' });
+
+      expect(result.costEstimate).toBe(1.5);
+      expect(result.usage.apiCalls).toBe(1);
+    });
+  });
+
   describe('estimateCost', () => {
     it('should estimate reasonable cost', () => {
       const result = {
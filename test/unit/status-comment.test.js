@@ -0,0 +1,66 @@
+const StatusComment = require('../../action/status-comment');
+const GitHubIntegration = require('../../action/github-integration');
+
+jest.mock('../../utils/logger');
+
+describe('StatusComment', () => {
+  let github;
+  let statusComment;
+  const event = { issueNumber: 1, repository: { name: 'repo', owner: { login: 'owner' } } };
+
+  beforeEach(() => {
+    github = new GitHubIntegration();
+    jest.spyOn(github, 'postProgressComment').mockResolvedValue({ id: 555 });
+    jest.spyOn(github, 'updateComment').mockResolvedValue({ id: 555 });
+
+    statusComment = new StatusComment(github, event);
+  });
+
+  it('should create the comment in the queued phase', async () => {
+    const commentId = await statusComment.start();
+
+    expect(commentId).toBe(555);
+    expect(github.postProgressComment).toHaveBeenCalledWith(event, expect.stringContaining('🔄 **Queued**'));
+  });
+
+  it('should edit the same comment as phases progress', async () => {
+    await statusComment.start();
+    await statusComment.update('running', '`gpt-4o`');
+
+    const body = github.updateComment.mock.calls[0][1];
+
+    expect(github.updateComment).toHaveBeenCalledWith(555, expect.any(String), event);
+    expect(body).toContain('✅ Queued');
+    expect(body).toContain('✅ Cloning repository');
+    expect(body).toContain('🔄 **Running SWE-agent** — `gpt-4o`');
+    expect(body).toContain('⬜ Parsing results');
+    expect(body).toContain('**Elapsed**');
+  });
+
+  it('should keep warnings on the comment across updates', async () => {
+    await statusComment.start();
+    await statusComment.warn('Budget 50% used ($2.50 of $5.00)');
+    await statusComment.update('parsing');
+
+    const body = github.updateComment.mock.calls[1][1];
+
+    expect(body).toContain('⚠️ Budget 50% used ($2.50 of $5.00)');
+    expect(body).toContain('🔄 **Parsing results**');
+  });
+
+  it('should skip updates when the comment could not be created', async () => {
+    github.postProgressComment.mockResolvedValue(null);
+
+    await statusComment.start();
+    await statusComment.update('cloning');
+
+    expect(github.updateComment).not.toHaveBeenCalled();
+  });
+
+  it('should not throw when an update fails', async () => {
+    github.updateComment.mockRejectedValue(new Error('API down'));
+
+    await statusComment.start();
+    await expect(statusComment.update('parsing')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,69 @@
+const StepTracker = require('../../src/step-tracker');
+
+describe('StepTracker', () => {
+  let events;
+  let clock;
+  let tracker;
+
+  const feed = (lines) => lines.forEach(line => tracker.push(line));
+
+  beforeEach(() => {
+    events = [];
+    clock = 1000;
+    tracker = new StepTracker({ onProgress: event => events.push(event), now: () => clock });
+  });
+
+  it('should follow the step banners of SWE-agent 1.x', () => {
+    feed([
+      '🤠 INFO ========================= STEP 1 =========================',
+      '🤠 INFO 💭 THOUGHT',
+      'Let me look at the file first.',
+      '',
+      '🎬 ACTION',
+      'str_replace_editor view /repo/app.js'
+    ]);
+    clock = 4500;
+    feed([
+      '🤠 INFO 👀 OBSERVATION',
+      'const value = null;',
+      '🤠 INFO ========================= STEP 2 ========================='
+    ]);
+
+    expect(events).toEqual([
+      { type: 'step', step: 1, action: null, elapsedMs: 0 },
+      { type: 'thought', step: 1, action: null, elapsedMs: 0 },
+      { type: 'action', step: 1, action: 'str_replace_editor view /repo/app.js', elapsedMs: 0 },
+      { type: 'observation', step: 1, action: 'str_replace_editor view /repo/app.js', elapsedMs: 3500 },
+      { type: 'step', step: 2, action: null, elapsedMs: 3500 }
+    ]);
+  });
+
+  it('should count steps without banners and ignore colors', () => {
+    feed([
+      'INFO     \x1b[1m💭 THOUGHT (primary)\x1b[0m',
+      'INFO     🎬 ACTION (primary)',
+      'ls',
+      'INFO     👀 OBSERVATION (primary)',
+      'INFO     💭 THOUGHT (primary)',
+      'INFO     🎬 ACTION (primary)',
+      'submit'
+    ]);
+
+    expect(events.filter(event => event.type === 'action').map(event => [event.step, event.action])).toEqual([
+      [1, 'ls'],
+      [2, 'submit']
+    ]);
+  });
+
+  it('should shorten long commands', () => {
+    feed(['🎬 ACTION', `cat <<'EOF' > big.js ${'x'.repeat(300)}`]);
+
+    expect(tracker.action).toHaveLength(120);
+    expect(tracker.action.endsWith('…')).toBe(true);
+  });
+
+  it('should not report ordinary output', () => {
+    expect(tracker.push('Downloading model metadata')).toBeNull();
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,782 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SWEAgentRunner = require('../../action/swe-agent-runner');
+const WorkspaceManager = require('../../action/workspace-manager');
+
+jest.mock('../../utils/logger');
+
+describe('SWEAgentRunner', () => {
+  let runner;
+
+  const providerFailure = (stderr) => ({
+    success: false,
+    error: 'Command failed with exit code 1',
+    stdout: '',
+    stderr
+  });
+
+  const success = {
+    success: true,
+    stdout: 'SUMMARY: Fixed the bug',
+    stderr: '',
+    output: {}
+  };
+
+  beforeEach(() => {
+    runner = new SWEAgentRunner();
+
+    jest.spyOn(runner, 'setupWorkspace').mockResolvedValue('/tmp/workspace');
+    jest.spyOn(runner, 'createProblemStatement').mockResolvedValue('/tmp/workspace/problem.md');
+    jest.spyOn(runner, 'writeConfig').mockResolvedValue('/tmp/workspace/config.yaml');
+    jest.spyOn(runner, 'cleanup').mockResolvedValue();
+
+    process.env.OPENAI_API_KEY = 'openai-key';
+    process.env.DEEPSEEK_API_KEY = 'deepseek-key';
+    delete process.env.ANTHROPIC_API_KEY;
+  });
+
+  afterEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.DEEPSEEK_API_KEY;
+  });
+
+  describe('execute with fallback models', () => {
+    const config = {
+      model_name: 'gpt-4o',
+      fallback_models: ['claude-3-5-sonnet-latest', 'deepseek/deepseek-chat'],
+      tools: ['bash'],
+      max_cost: 5
+    };
+
+    it('should not fall back when primary model succeeds', async () => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue(success);
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(1);
+      expect(result.model).toBe('gpt-4o');
+      expect(result.attempts).toHaveLength(1);
+      expect(result.attempts[0].final).toBe(true);
+    });
+
+    it('should retry with next model on provider failures', async () => {
+      jest.spyOn(runner, 'runSWEAgent')
+        .mockResolvedValueOnce(providerFailure('litellm.RateLimitError: 429 Too Many Requests'))
+        .mockResolvedValueOnce(success);
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      // Claude has no API key configured, so it is skipped without running
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(2);
+      expect(runner.writeConfig.mock.calls[1][0].model_name).toBe('deepseek/deepseek-chat');
+      expect(runner.writeConfig.mock.calls[1][0].api_key).toBe('deepseek-key');
+
+      expect(result.success).toBe(true);
+      expect(result.model).toBe('deepseek/deepseek-chat');
+      expect(result.attempts.map(a => [a.model, a.reason])).toEqual([
+        ['gpt-4o', 'rate_limit'],
+        ['claude-3-5-sonnet-latest', 'auth'],
+        ['deepseek/deepseek-chat', null]
+      ]);
+    });
+
+    it('should accumulate cost across abandoned attempts', async () => {
+      jest.spyOn(runner, 'runSWEAgent')
+        .mockResolvedValueOnce(providerFailure('openai.InternalServerError: 503 Service Unavailable'))
+        .mockResolvedValueOnce(success);
+
+      const result = await runner.execute({ type: 'issue' }, config);
+      const total = result.attempts.reduce((sum, attempt) => sum + attempt.cost, 0);
+
+      expect(result.attempts[0].cost).toBeGreaterThan(0);
+      expect(result.costEstimate).toBeCloseTo(total, 10);
+    });
+
+    it('should break cost down per model that ran', async () => {
+      jest.spyOn(runner, 'runSWEAgent')
+        .mockResolvedValueOnce(providerFailure('openai.InternalServerError: 503 Service Unavailable'))
+        .mockResolvedValueOnce(success);
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      // The skipped Claude attempt never ran, so it has no entry
+      expect(result.costBreakdown.map(entry => entry.model)).toEqual(['gpt-4o', 'deepseek/deepseek-chat']);
+      expect(result.costBreakdown[0]).toMatchObject({ source: 'estimate', priced: true });
+      expect(result.costBreakdown.reduce((sum, entry) => sum + entry.cost, 0)).toBeCloseTo(result.costEstimate, 10);
+    });
+
+    it('should stop on failures that are not provider related', async () => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue(providerFailure('SyntaxError in patch'));
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.attempts).toHaveLength(1);
+    });
+
+    it('should report last run when remaining fallbacks are skipped', async () => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue(
+        providerFailure('ContextWindowExceededError: maximum context length')
+      );
+
+      const result = await runner.execute({ type: 'issue' }, {
+        ...config,
+        fallback_models: ['claude-3-5-sonnet-latest']
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.model).toBe('gpt-4o');
+      expect(result.attempts[0]).toMatchObject({ model: 'gpt-4o', reason: 'context_length', final: true });
+      expect(result.attempts[1]).toMatchObject({ model: 'claude-3-5-sonnet-latest', reason: 'auth' });
+    });
+  });
+
+  describe('budget enforcement', () => {
+    const config = {
+      model_name: 'gpt-4o',
+      fallback_models: ['deepseek/deepseek-chat'],
+      tools: ['bash'],
+      max_cost: 0.5
+    };
+
+    const trajectory = (cost) => ({
+      info: { model_stats: { tokens_sent: 1000, tokens_received: 100, api_calls: 3, instance_cost: cost } }
+    });
+
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swe-budget-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('should not fall back once abandoned attempts use up the budget', async () => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue({
+        ...providerFailure('RateLimitError: 429'),
+        output: { 'issue-1.traj': trajectory(0.6) }
+      });
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.attempts).toEqual([expect.objectContaining({ model: 'gpt-4o', final: true })]);
+    });
+
+    it('should salvage the workspace diff of a timed out run without falling back', async () => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue({
+        success: false,
+        timedOut: true,
+        error: 'SWE-agent did not finish within the 300s workspace_timeout and was stopped',
+        stdout: '',
+        stderr: 'RateLimitError: 429',
+        output: {}
+      });
+      jest.spyOn(runner, 'collectWorkspaceDiff').mockResolvedValue('diff --git a/app.js b/app.js\n');
+
+      const result = await runner.execute({ type: 'issue' }, { ...config, workspace_timeout: 300 });
+
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(1);
+      expect(runner.runSWEAgent.mock.calls[0][2].timeout).toBe(300000);
+      expect(result.timedOut).toBe(true);
+      expect(result.partialPatch).toBe('diff --git a/app.js b/app.js\n');
+    });
+
+    it('should salvage the workspace changes of a run stopped at the budget', async () => {
+      const git = (...args) => execFileSync('git', args, { cwd: outputDir, encoding: 'utf8' });
+      git('init', '--initial-branch=main');
+      fs.writeFileSync(path.join(outputDir, 'app.js'), 'const value = null;\n');
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Initial commit');
+
+      runner.setupWorkspace.mockResolvedValue(outputDir);
+      jest.spyOn(runner, 'runSWEAgent').mockImplementation(async () => {
+        // A local deployment edits the checkout directly and leaves no diff in the trajectory
+        fs.writeFileSync(path.join(outputDir, 'app.js'), 'const value = 1;\n');
+        return {
+          success: false,
+          budgetExceeded: true,
+          error: 'Budget limit of $0.50 reached; SWE-agent was stopped',
+          stdout: '',
+          stderr: '',
+          output: { 'issue-1.traj': trajectory(0.55) }
+        };
+      });
+
+      const result = await runner.execute({ type: 'issue' }, config);
+
+      expect(runner.runSWEAgent).toHaveBeenCalledTimes(1);
+      expect(result.budgetExceeded).toBe(true);
+      expect(result.partialPatch).toContain('diff --git a/app.js b/app.js');
+      expect(result.partialPatch).toContain('+const value = 1;');
+    });
+
+    it('should still collect the workspace diff once the run is cancelled', async () => {
+      const ProcessRunner = require('../../action/process-runner');
+      const git = (...args) => execFileSync('git', args, { cwd: outputDir, encoding: 'utf8' });
+      git('init', '--initial-branch=main');
+      fs.writeFileSync(path.join(outputDir, 'app.js'), 'const value = null;\n');
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Initial commit');
+      fs.writeFileSync(path.join(outputDir, 'app.js'), 'const value = 1;\n');
+
+      ProcessRunner.terminateAll();
+      try {
+        expect(await runner.collectWorkspaceDiff(outputDir)).toContain('+const value = 1;');
+      } finally {
+        ProcessRunner.reset();
+      }
+    });
+
+    it('should abort the run when the trajectory cost reaches the budget', async () => {
+      const BudgetMonitor = require('../../action/budget-monitor');
+      const budget = new BudgetMonitor(0.5);
+      const controller = new AbortController();
+
+      fs.writeFileSync(path.join(outputDir, 'issue-1.traj'), JSON.stringify(trajectory(0.75)));
+      runner.budgetPollInterval = 10;
+
+      const stopWatching = runner.watchBudget(outputDir, 'gpt-4o', budget, controller);
+      await new Promise(resolve => controller.signal.addEventListener('abort', resolve));
+      stopWatching();
+
+      expect(budget.exceeded).toBe(true);
+      expect(budget.total).toBe(0.75);
+    });
+  });
+
+  describe('execute publishing', () => {
+    const config = { model_name: 'gpt-4o-mini', tools: ['bash'], max_cost: 5, create_pr: true };
+
+    beforeEach(() => {
+      jest.spyOn(runner, 'runSWEAgent').mockResolvedValue(success);
+      jest.spyOn(runner, 'publishChanges').mockResolvedValue(null);
+    });
+
+    it('should publish changes for mutating commands', async () => {
+      await runner.execute({ type: 'issue', command: { verb: 'fix', mutating: true } }, config);
+
+      expect(runner.publishChanges).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not publish changes for read-only commands', async () => {
+      await runner.execute({ type: 'issue', command: { verb: 'explain', mutating: false } }, config);
+
+      expect(runner.publishChanges).not.toHaveBeenCalled();
+    });
+
+    it('should not publish changes when disabled', async () => {
+      await runner.execute(
+        { type: 'issue', command: { verb: 'fix', mutating: true } },
+        { ...config, create_pr: false }
+      );
+
+      expect(runner.publishChanges).not.toHaveBeenCalled();
+    });
+
+    it('should not publish changes that touch protected paths', async () => {
+      runner.runSWEAgent.mockResolvedValue({
+        ...success,
+        output: { 'issue-1.patch': 'diff --git a/.github/workflows/ci.yml b/.github/workflows/ci.yml\n' }
+      });
+
+      const result = await runner.execute(
+        { type: 'issue', command: { verb: 'fix', mutating: true } },
+        { ...config, protected_paths: ['.github/'] }
+      );
+
+      expect(runner.publishChanges).not.toHaveBeenCalled();
+      expect(result.publishError).toContain('`.github/workflows/ci.yml`');
+    });
+
+    it('should leave a prepared workspace for the caller to clean up', async () => {
+      await runner.execute({ type: 'issue' }, config, null, '/tmp/prepared');
+
+      expect(runner.setupWorkspace).not.toHaveBeenCalled();
+      expect(runner.cleanup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loadRepositoryConfig', () => {
+    let tempDir;
+
+    const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' });
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swe-repo-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read the configuration from the default branch', async () => {
+      const source = path.join(tempDir, 'source');
+      const clone = path.join(tempDir, 'clone');
+
+      git(tempDir, 'init', '--initial-branch=main', source);
+      fs.mkdirSync(path.join(source, '.github'));
+      fs.writeFileSync(path.join(source, '.github', 'swe-agent.yml'), 'model: gpt-4o\n');
+      git(source, 'add', '-A');
+      git(source, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Add config');
+      git(tempDir, 'clone', source, clone);
+
+      // A pull request branch trying to change the configuration
+      fs.writeFileSync(path.join(clone, '.github', 'swe-agent.yml'), 'model: gpt-3.5-turbo\n');
+
+      expect(await runner.loadRepositoryConfig(clone)).toEqual({ model: 'gpt-4o' });
+    });
+
+    it('should return null when the repository has no configuration', async () => {
+      expect(await runner.loadRepositoryConfig(tempDir)).toBeNull();
+    });
+
+    it('should reject invalid configuration', async () => {
+      fs.mkdirSync(path.join(tempDir, '.github'));
+      fs.writeFileSync(path.join(tempDir, '.github', 'swe-agent.yml'), 'max_cost: free\n');
+
+      await expect(runner.loadRepositoryConfig(tempDir)).rejects.toMatchObject({ code: 'EINVALIDCONFIG' });
+    });
+
+    it('should attach prices from the pricing file', async () => {
+      fs.mkdirSync(path.join(tempDir, '.github'));
+      fs.writeFileSync(path.join(tempDir, '.github', 'prices.json'), '{"ollama/llama3": {"input": 0, "output": 0}}');
+
+      const repoConfig = await runner.loadRepositoryConfig(tempDir, { pricingFile: '.github/prices.json' });
+
+      expect(repoConfig).toEqual({ pricing: { 'ollama/llama3': { input: 0, output: 0 } } });
+    });
+
+    it('should reject an invalid pricing file', async () => {
+      fs.mkdirSync(path.join(tempDir, '.github'));
+      fs.writeFileSync(path.join(tempDir, '.github', 'prices.yml'), 'gpt-4o: { input: cheap, output: 1 }\n');
+
+      await expect(runner.loadRepositoryConfig(tempDir, { pricingFile: '.github/prices.yml' }))
+        .rejects.toThrow('Invalid .github/prices.yml: `gpt-4o.input`: must be a number');
+    });
+  });
+
+  describe('estimateRunCost', () => {
+    const event = { issue: { number: 1, title: 'Bug', body: 'Something breaks' } };
+    const config = { model_name: 'gpt-4o', max_cost: 5, context_token_budget: 0, pricing: {} };
+
+    it('should price the run with the repository pricing file', async () => {
+      const listed = await runner.estimateRunCost(event, config, os.tmpdir());
+      const free = await runner.estimateRunCost(event, {
+        ...config,
+        pricing: { 'gpt-4o': { input: 0, output: 0 } }
+      }, os.tmpdir());
+
+      expect(listed.cost).toBeGreaterThan(0);
+      expect(free.cost).toBe(0);
+    });
+  });
+
+  describe('pushToPullRequest', () => {
+    let manager;
+
+    const pullRequest = (overrides = {}) => ({
+      number: 9,
+      head: { ref: 'feature', repo: { full_name: 'owner/repo', clone_url: 'https://github.com/owner/repo.git' } },
+      base: { ref: 'main', repo: { full_name: 'owner/repo' } },
+      maintainer_can_modify: false,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      manager = {
+        push: jest.fn().mockResolvedValue(),
+        addRemote: jest.fn().mockResolvedValue(),
+        branchName: jest.fn().mockReturnValue('swe-agent/issue-comment-9-abc')
+      };
+    });
+
+    it('should push onto the pull request branch', async () => {
+      const branch = await runner.pushToPullRequest({ pullRequest: pullRequest() }, manager, 'abc123');
+
+      expect(manager.push).toHaveBeenCalledWith('feature', undefined, 'origin');
+      expect(branch).toEqual({ name: 'feature', sha: 'abc123', pushedToPullRequest: true });
+    });
+
+    it('should push to forks that allow maintainer edits', async () => {
+      const fork = pullRequest({
+        head: { ref: 'main', repo: { full_name: 'contributor/repo', clone_url: 'https://github.com/contributor/repo.git' } },
+        maintainer_can_modify: true
+      });
+
+      const branch = await runner.pushToPullRequest({ pullRequest: fork }, manager, 'abc123');
+
+      expect(manager.addRemote).toHaveBeenCalledWith('fork', 'https://github.com/contributor/repo.git');
+      expect(manager.push).toHaveBeenCalledWith('main', undefined, 'fork');
+      expect(branch.pushedToPullRequest).toBe(true);
+    });
+
+    it('should open a stacked branch when the pull request branch is not writable', async () => {
+      manager.push.mockRejectedValueOnce(new Error('git push failed: protected branch'));
+
+      const branch = await runner.pushToPullRequest({ pullRequest: pullRequest() }, manager, 'abc123');
+
+      expect(manager.push).toHaveBeenLastCalledWith('swe-agent/issue-comment-9-abc', undefined);
+      expect(branch).toEqual({ name: 'swe-agent/issue-comment-9-abc', base: 'feature', sha: 'abc123', stacked: true });
+    });
+
+    it('should stack fork fixes onto the base branch without maintainer edits', async () => {
+      const fork = pullRequest({
+        head: { ref: 'feature', repo: { full_name: 'contributor/repo', clone_url: 'https://github.com/contributor/repo.git' } }
+      });
+
+      const branch = await runner.pushToPullRequest({ pullRequest: fork }, manager, 'abc123');
+
+      expect(manager.push).toHaveBeenCalledTimes(1);
+      expect(branch.base).toBe('main');
+      expect(branch.stacked).toBe(true);
+    });
+  });
+
+  describe('formatProblemStatement', () => {
+    const reviewEvent = (comment) => ({
+      type: 'pull_request_review_comment',
+      command: { verb: 'fix', task: 'Implement a fix.', instructions: 'handle the empty list' },
+      pullRequest: { title: 'Add pagination' },
+      comment: {
+        body: '@swe-agent handle the empty list',
+        path: 'src/pager.js',
+        diff_hunk: '@@ -10,3 +10,4 @@ function page(items) {\n+  return items[0];',
+        side: 'RIGHT',
+        ...comment
+      }
+    });
+
+    it('should scope inline review requests to the commented lines', () => {
+      const statement = runner.formatProblemStatement(reviewEvent({ start_line: 11, line: 13 }));
+
+      expect(statement).toContain('**File:** `src/pager.js`');
+      expect(statement).toContain('**Lines:** 11-13 (changed version)');
+      expect(statement).toContain('```diff\n@@ -10,3 +10,4 @@ function page(items) {\n+  return items[0];\n```');
+      expect(statement).toContain('handle the empty list');
+      expect(statement).toContain('Limit the work to `src/pager.js` (11-13 (changed version))');
+    });
+
+    it('should fall back to the original position of outdated comments', () => {
+      const statement = runner.formatProblemStatement(reviewEvent({ line: null, original_line: 7, side: 'LEFT' }));
+
+      expect(statement).toContain('**Lines:** 7 (base version)');
+    });
+
+    it('should include the earlier conversation and mark the current request', () => {
+      const statement = runner.formatProblemStatement({
+        type: 'issue_comment',
+        command: { verb: 'fix', task: 'Implement a fix.', instructions: 'now also handle the empty case' },
+        issue: { title: 'Crash on load', body: 'It crashes' },
+        comment: { id: 8, body: '@swe-agent now also handle the empty case', user: { login: 'bob' } },
+        conversation: [
+          { id: 5, body: '@swe-agent fix the crash', user: { login: 'alice', type: 'User' }, created_at: '2024-05-01T00:00:00Z' },
+          { id: 8, body: '@swe-agent now also handle the empty case', user: { login: 'bob', type: 'User' }, created_at: '2024-05-02T00:00:00Z' }
+        ]
+      });
+
+      expect(statement).toContain('## Earlier Conversation\n**@alice** (2024-05-01):\n@swe-agent fix the crash');
+      expect(statement).toContain('## Current Request (from @bob)\nnow also handle the empty case');
+      expect(statement.match(/now also handle the empty case/g)).toHaveLength(1);
+    });
+
+    it('should list every comment of a submitted review', () => {
+      const statement = runner.formatProblemStatement({
+        type: 'pull_request_review',
+        command: { verb: 'fix', task: 'Implement a fix.', instructions: '' },
+        pullRequest: { title: 'Add pagination' },
+        review: { body: '@swe-agent please address these' },
+        reviewComments: [
+          { path: 'src/pager.js', line: 12, side: 'RIGHT', diff_hunk: '@@ -1 +1 @@', body: 'Off by one' },
+          { path: 'README.md', body: 'Document the new option', subject_type: 'file' }
+        ]
+      });
+
+      expect(statement).toContain('### 1. `src/pager.js` (12 (changed version))');
+      expect(statement).toContain('Off by one');
+      expect(statement).toContain('### 2. `README.md` (whole file)');
+      expect(statement).toContain('Address every review comment above');
+    });
+
+    it('should include the changes of a pull request under review', () => {
+      const statement = runner.formatProblemStatement({
+        type: 'pull_request',
+        command: { verb: 'review', task: 'Review the changes.', instructions: '' },
+        pullRequest: { title: 'Add pagination', body: '', base: { ref: 'main' }, head: { ref: 'feature/pages', sha: 'abcdef123456' } },
+        pullRequestContext: {
+          commits: [{ sha: '1234567890', commit: { message: 'Add pager\n\nDetails' } }],
+          files: [
+            { filename: 'src/pager.js', status: 'added', additions: 3, deletions: 0, patch: '@@ -0,0 +1,3 @@\n+a\n+b\n+c' },
+            { filename: 'logo.png', status: 'modified', additions: 0, deletions: 0 },
+            { filename: 'dist/bundle.js', status: 'modified', additions: 9000, deletions: 0, patch: 'x'.repeat(9000) }
+          ]
+        }
+      });
+
+      expect(statement).toContain('**Base:** `main` ← **Head:** `feature/pages` (abcdef1)');
+      expect(statement).toContain('- 1234567 Add pager\n');
+      expect(statement).toContain('- `src/pager.js` (added, +3/-0)');
+      expect(statement).toContain('--- a/src/pager.js\n+++ b/src/pager.js\n@@ -0,0 +1,3 @@');
+      expect(statement).toContain('... (1000 more characters truncated)');
+      expect(statement).toContain('Diff not shown for: `logo.png` (no textual diff)');
+    });
+
+    it('should stop adding diffs at the total size limit', () => {
+      const files = Array.from({ length: 6 }, (_, i) => ({
+        filename: `file${i}.js`, status: 'modified', additions: 1, deletions: 1, patch: 'y'.repeat(8000)
+      }));
+
+      const section = runner.formatPullRequestContext(
+        { base: { ref: 'main' }, head: { ref: 'dev', sha: 'abc' } },
+        { files, commits: [] }
+      );
+
+      expect(section).toContain('+++ b/file4.js');
+      expect(section).not.toContain('+++ b/file5.js');
+      expect(section).toContain('`file5.js` (diff size limit reached)');
+    });
+
+    it('should lengthen the fence around hunks containing backticks', () => {
+      expect(runner.codeFence('a ``` b', 'diff')).toBe('````diff\na ``` b\n````');
+    });
+  });
+
+  describe('setupWorkspace', () => {
+    const repository = { clone_url: 'https://github.com/acme/private.git', full_name: 'acme/private' };
+
+    beforeEach(() => {
+      runner.setupWorkspace.mockRestore();
+      runner.cleanup.mockRestore();
+      process.env.GITHUB_TOKEN = 'ghs_secret';
+      delete process.env.GITHUB_SERVER_URL;
+    });
+
+    afterEach(() => {
+      delete process.env.GITHUB_TOKEN;
+      jest.restoreAllMocks();
+    });
+
+    it('should clone with the token in the environment only', async () => {
+      jest.spyOn(runner.processRunner, 'run').mockResolvedValue({ stdout: '', stderr: '', code: 0 });
+
+      const repoPath = await runner.setupWorkspace({ repository });
+      fs.rmSync(path.dirname(repoPath), { recursive: true, force: true });
+
+      const [command, args, options] = runner.processRunner.run.mock.calls[0];
+      expect(command).toBe('git');
+      expect(args).toEqual(['clone', '--', repository.clone_url, repoPath]);
+      expect(JSON.stringify(args)).not.toContain('ghs_secret');
+      expect(options.env.GIT_CONFIG_KEY_1).toBe('http.https://github.com/.extraheader');
+      expect(Object.values(options.env)).not.toContain('http.extraheader');
+    });
+
+    it('should keep the runner\'s files out of the repository the agent commits from', async () => {
+      const source = fs.mkdtempSync(path.join(os.tmpdir(), 'swe-source-'));
+      const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+      git(source, 'init', '--initial-branch=main');
+      fs.writeFileSync(path.join(source, 'app.js'), 'module.exports = 1;\n');
+      git(source, 'add', '-A');
+      git(source, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Initial commit');
+
+      const event = { type: 'issue', issue: { title: 'Bug', body: 'Broken' }, repository: { full_name: 'acme/app', clone_url: source } };
+      runner.createProblemStatement.mockRestore();
+      runner.writeConfig.mockRestore();
+      const repoPath = await runner.setupWorkspace(event);
+      const runDirectory = path.dirname(repoPath);
+
+      try {
+        const problemPath = await runner.createProblemStatement(event, repoPath);
+        const configPath = await runner.writeConfig({ model_name: 'gpt-4o', tools: ['bash'], max_cost: 1 }, repoPath, { problemPath });
+
+        expect(path.dirname(problemPath)).toBe(runDirectory);
+        expect(path.dirname(configPath)).toBe(runDirectory);
+        expect(git(repoPath, 'status', '--porcelain', '--ignored')).toBe('');
+      } finally {
+        await runner.cleanup(repoPath);
+        fs.rmSync(source, { recursive: true, force: true });
+      }
+
+      expect(fs.existsSync(runDirectory)).toBe(false);
+    });
+
+    it('should reject unknown modes and sparse checkouts without paths', async () => {
+      await expect(runner.setupWorkspace({ repository }, { mode: 'copy' })).rejects.toThrow('Unknown workspace_mode "copy"');
+      await expect(runner.setupWorkspace({ repository }, { mode: 'sparse' })).rejects.toThrow('needs at least one path');
+    });
+
+    it('should pass the depth to shallow clones and the pull request fetch', async () => {
+      jest.spyOn(WorkspaceManager.prototype, 'clone').mockResolvedValue();
+      jest.spyOn(WorkspaceManager.prototype, 'checkoutPullRequest').mockResolvedValue('abc');
+      const pullRequest = { number: 5, head: { ref: 'feature' } };
+
+      const repoPath = await runner.setupWorkspace({ repository, pullRequest }, { mode: 'shallow', depth: 3, sparsePaths: ['lib'] });
+      fs.rmSync(path.dirname(repoPath), { recursive: true, force: true });
+
+      expect(WorkspaceManager.prototype.clone).toHaveBeenCalledWith(repository.clone_url, 'ghs_secret', { depth: 3, sparsePaths: [] });
+      expect(WorkspaceManager.prototype.checkoutPullRequest).toHaveBeenCalledWith(pullRequest, 'ghs_secret', { depth: 3 });
+    });
+
+    it('should add a worktree to the actions/checkout workspace and remove it on cleanup', async () => {
+      process.env.GITHUB_WORKSPACE = '/github/workspace';
+      jest.spyOn(WorkspaceManager.prototype, 'isRepository').mockResolvedValue(true);
+      jest.spyOn(WorkspaceManager.prototype, 'git').mockResolvedValue('false');
+      jest.spyOn(WorkspaceManager.prototype, 'addWorktree').mockResolvedValue();
+      jest.spyOn(WorkspaceManager.prototype, 'removeWorktree').mockResolvedValue();
+
+      try {
+        const repoPath = await runner.setupWorkspace({ repository: { ...repository, default_branch: 'trunk' } }, { mode: 'worktree', depth: 1 });
+
+        expect(WorkspaceManager.prototype.addWorktree).toHaveBeenCalledWith('/github/workspace', 'trunk', 'ghs_secret', { depth: undefined });
+
+        await runner.cleanup(repoPath);
+        fs.rmSync(path.dirname(repoPath), { recursive: true, force: true });
+
+        expect(WorkspaceManager.prototype.removeWorktree).toHaveBeenCalledWith('/github/workspace');
+        expect(runner.worktrees.size).toBe(0);
+      } finally {
+        delete process.env.GITHUB_WORKSPACE;
+      }
+    });
+
+    it('should clean up and explain a pull request checkout that fails', async () => {
+      process.env.GITHUB_WORKSPACE = '/github/workspace';
+      jest.spyOn(WorkspaceManager.prototype, 'isRepository').mockResolvedValue(true);
+      jest.spyOn(WorkspaceManager.prototype, 'git').mockResolvedValue('false');
+      jest.spyOn(WorkspaceManager.prototype, 'addWorktree').mockResolvedValue();
+      jest.spyOn(WorkspaceManager.prototype, 'removeWorktree').mockResolvedValue();
+      jest.spyOn(WorkspaceManager.prototype, 'checkoutPullRequest')
+        .mockRejectedValue(new Error("git fetch failed: fatal: couldn't find remote ref pull/5/head (ghs_secret)"));
+      const mkdir = jest.spyOn(fs.promises, 'mkdir');
+
+      try {
+        const error = await runner.setupWorkspace({ repository, pullRequest: { number: 5, head: { ref: 'feature' } } }, { mode: 'worktree' })
+          .catch(e => e);
+        const runDirectory = mkdir.mock.calls[0][0];
+
+        expect(error.code).toBe('ECHECKOUT');
+        expect(error.message).toContain('Failed to check out pull request #5');
+        expect(error.reason).not.toContain('ghs_secret');
+        expect(WorkspaceManager.prototype.removeWorktree).toHaveBeenCalledWith('/github/workspace');
+        expect(runner.worktrees.size).toBe(0);
+        expect(fs.existsSync(runDirectory)).toBe(false);
+      } finally {
+        delete process.env.GITHUB_WORKSPACE;
+      }
+    });
+
+    it('should report a clone stopped by cancellation as cancelled, not as a clone failure', async () => {
+      const ProcessRunner = require('../../action/process-runner');
+      ProcessRunner.terminateAll();
+      jest.spyOn(runner, 'cleanup');
+
+      try {
+        const error = await runner.setupWorkspace({ repository }).catch(e => e);
+
+        expect(error.cancelled).toBe(true);
+        expect(error.code).not.toBe('ECLONE');
+        expect(runner.cleanup).toHaveBeenCalled();
+      } finally {
+        ProcessRunner.reset();
+      }
+    });
+
+    it('should fail instead of continuing in an empty workspace', async () => {
+      const failure = new Error('git failed with exit code 128');
+      failure.stderr = 'fatal: could not read from https://ghs_secret@github.com/acme/private.git';
+      jest.spyOn(runner.processRunner, 'run').mockRejectedValue(failure);
+      jest.spyOn(runner, 'cleanup');
+
+      const error = await runner.setupWorkspace({ repository }).catch(e => e);
+
+      expect(error.code).toBe('ECLONE');
+      expect(error.message).toContain('Failed to clone acme/private');
+      expect(error.message).not.toContain('ghs_secret');
+      expect(runner.cleanup).toHaveBeenCalled();
+    });
+  });
+
+  describe('publishChanges from a worktree', () => {
+    let tempDir;
+
+    const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+    beforeEach(() => {
+      runner.setupWorkspace.mockRestore();
+      runner.cleanup.mockRestore();
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swe-worktree-'));
+      process.env.GITHUB_TOKEN = 'ghs_secret';
+    });
+
+    afterEach(() => {
+      delete process.env.GITHUB_TOKEN;
+      delete process.env.GITHUB_WORKSPACE;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should open the branch against the default branch, not the detached HEAD', async () => {
+      const origin = path.join(tempDir, 'origin.git');
+      const seed = path.join(tempDir, 'seed');
+      const checkout = path.join(tempDir, 'checkout');
+
+      git(tempDir, 'init', '--bare', '--initial-branch=trunk', origin);
+      git(tempDir, 'init', '--initial-branch=trunk', seed);
+      fs.writeFileSync(path.join(seed, 'app.js'), 'module.exports = 1;\n');
+      git(seed, 'add', '-A');
+      git(seed, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-m', 'Initial commit');
+      git(seed, 'push', origin, 'trunk');
+      git(tempDir, 'clone', origin, checkout);
+      process.env.GITHUB_WORKSPACE = checkout;
+
+      const event = {
+        type: 'issue',
+        issueNumber: 7,
+        issue: { title: 'Wrong export' },
+        repository: { full_name: 'acme/app', default_branch: 'trunk' }
+      };
+      const repoPath = await runner.setupWorkspace(event, { mode: 'worktree' });
+
+      try {
+        fs.writeFileSync(path.join(repoPath, 'app.js'), 'module.exports = 2;\n');
+
+        const branch = await runner.publishChanges(event, repoPath, success, { filesChanged: [{ path: 'app.js' }] });
+
+        expect(branch).toMatchObject({ base: 'trunk', name: expect.stringMatching(/^swe-agent\/issue-7-/) });
+        expect(git(origin, 'rev-parse', branch.name)).toBe(branch.sha);
+      } finally {
+        await runner.cleanup(repoPath);
+      }
+    });
+  });
+
+  describe('readOutputFiles', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swe-output-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('should collect nested trajectories, predictions and patches', async () => {
+      const instanceDir = path.join(outputDir, 'issue-1');
+      fs.mkdirSync(instanceDir);
+      fs.writeFileSync(path.join(outputDir, 'preds.json'), JSON.stringify({ 'issue-1': { model_patch: 'diff' } }));
+      fs.writeFileSync(path.join(instanceDir, 'issue-1.traj'), JSON.stringify({ info: { model_stats: { api_calls: 2 } } }));
+      fs.writeFileSync(path.join(instanceDir, 'issue-1.patch'), 'diff --git a/x b/x\n');
+      fs.writeFileSync(path.join(instanceDir, 'debug.log'), 'ignored');
+
+      const output = await runner.readOutputFiles(outputDir);
+
+      expect(Object.keys(output).sort()).toEqual(['issue-1.patch', 'issue-1.traj', 'preds.json']);
+      expect(output['issue-1.traj'].info.model_stats.api_calls).toBe(2);
+    });
+  });
+});
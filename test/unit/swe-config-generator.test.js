@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const SWEConfigGenerator = require('../../src/swe-config-generator');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'fixtures', 'swe-config');
+
+describe('SWEConfigGenerator', () => {
+  let generator;
+
+  const config = {
+    model_name: 'claude-3-5-sonnet-latest',
+    max_cost: 2.5,
+    max_iterations: 30,
+    temperature: 0,
+    top_p: 0.95,
+    tools: ['str_replace_editor', 'bash', 'file_viewer']
+  };
+
+  const options = {
+    problemPath: '/tmp/swe-workspace/run-1/repo/problem.md',
+    repoPath: '/tmp/swe-workspace/run-1/repo'
+  };
+
+  beforeEach(() => {
+    generator = new SWEConfigGenerator();
+  });
+
+  describe.each(SWEConfigGenerator.MODES)('%s mode', (mode) => {
+    it('should match the golden config', () => {
+      const goldenPath = path.join(GOLDEN_DIR, `${mode}.yaml`);
+      const output = generator.toYaml(config, { ...options, mode });
+
+      // Regenerate with UPDATE_GOLDEN=1 after an intentional change, then review the diff
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenPath, output);
+      }
+
+      expect(output).toBe(fs.readFileSync(goldenPath, 'utf8'));
+    });
+  });
+
+  it('should round-trip values that need quoting', () => {
+    const tricky = {
+      ...config,
+      model_name: 'openrouter/meta-llama/llama-3:free',
+      tools: ['bash']
+    };
+    const repoPath = '/tmp/work space/#repo: "quoted"';
+
+    const parsed = yaml.load(generator.toYaml(tricky, { ...options, repoPath, mode: 'fix' }));
+
+    expect(parsed.agent.model.name).toBe('openrouter/meta-llama/llama-3:free');
+    expect(parsed.env.repo.path).toBe(repoPath);
+  });
+
+  it('should pass endpoints through to the model config', () => {
+    const model = generator.buildModel({
+      ...config,
+      model_name: 'ollama/llama3',
+      endpoint: { api_base: 'https://llm-proxy.internal', api_version: '2024-06-01', headers: { 'X-Team': 'platform' } },
+      model_endpoints: { 'ollama/llama3': { api_base: 'http://gpu-box:11434' } }
+    });
+
+    expect(model).toMatchObject({
+      api_base: 'http://gpu-box:11434',
+      api_version: '2024-06-01',
+      completion_kwargs: { extra_headers: { 'X-Team': 'platform' } }
+    });
+  });
+
+  it('should map action tools to SWE-agent bundles', () => {
+    const tools = generator.buildTools({ tools: ['file_manager', 'python_executor'] }, 'review');
+
+    expect(tools.bundles).toEqual([{ path: 'tools/registry' }, { path: 'tools/search' }, { path: 'tools/submit' }]);
+    expect(tools.enable_bash_tool).toBe(true);
+  });
+
+  it('should fall back to fix mode for unknown modes', () => {
+    const generated = generator.generate(config, { ...options, mode: 'unknown' });
+
+    expect(generated.agent.templates.instance_template).toContain('Make the minimal changes');
+  });
+});
@@ -0,0 +1,322 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkspaceManager = require('../../action/workspace-manager');
+
+jest.mock('../../utils/logger');
+
+describe('WorkspaceManager', () => {
+  let tempDir;
+  let repoPath;
+  let remotePath;
+  let manager;
+
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-manager-'));
+    remotePath = path.join(tempDir, 'remote.git');
+    repoPath = path.join(tempDir, 'repo');
+
+    git(tempDir, 'init', '--bare', '--initial-branch=main', remotePath);
+    git(tempDir, 'clone', remotePath, repoPath);
+    git(repoPath, 'config', 'user.name', 'Test User');
+    git(repoPath, 'config', 'user.email', 'test@example.com');
+    git(repoPath, 'checkout', '-b', 'main');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'const value = null;\nmodule.exports = value;\n');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-m', 'Initial commit');
+    git(repoPath, 'push', 'origin', 'main');
+
+    manager = new WorkspaceManager(repoPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should detect git repositories', async () => {
+    expect(await manager.isRepository()).toBe(true);
+    expect(await new WorkspaceManager(tempDir).isRepository()).toBe(false);
+  });
+
+  it('should apply a unified diff patch', async () => {
+    const patch = [
+      'diff --git a/app.js b/app.js',
+      '--- a/app.js',
+      '+++ b/app.js',
+      '@@ -1,2 +1,2 @@',
+      '-const value = null;',
+      '+const value = 0;',
+      ' module.exports = value;'
+    ].join('\n');
+
+    await manager.applyPatch(patch);
+
+    expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).toContain('const value = 0;');
+    expect(await manager.hasChanges()).toBe(true);
+  });
+
+  it('should reject patches that do not apply', async () => {
+    const patch = [
+      '--- a/app.js',
+      '+++ b/app.js',
+      '@@ -1 +1 @@',
+      '-this line does not exist',
+      '+replacement'
+    ].join('\n');
+
+    await expect(manager.applyPatch(patch)).rejects.toThrow('git apply failed');
+  });
+
+  it('should include untracked files in the workspace diff', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'const value = 0;\nmodule.exports = value;\n');
+    fs.writeFileSync(path.join(repoPath, 'added.js'), 'module.exports = 1;\n');
+
+    const diff = await manager.diff();
+
+    expect(diff).toContain('+const value = 0;');
+    expect(diff).toContain('new file mode 100644');
+    expect(diff).toContain('+++ b/added.js');
+  });
+
+  it('should measure committed files only', async () => {
+    fs.mkdirSync(path.join(repoPath, 'src dir'));
+    fs.writeFileSync(path.join(repoPath, 'src dir', 'a b.js'), '12345');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-m', 'Add file');
+    fs.writeFileSync(path.join(repoPath, 'untracked.js'), 'ignored');
+
+    expect(await manager.measure()).toEqual({ files: 2, bytes: 49 });
+  });
+
+  it('should not add duplicate exclude patterns', async () => {
+    await manager.excludeFromCommit(['problem.md']);
+    await manager.excludeFromCommit(['problem.md', 'output/']);
+
+    const exclude = fs.readFileSync(path.join(repoPath, '.git', 'info', 'exclude'), 'utf8');
+    expect(exclude.match(/^\/problem\.md$/gm)).toHaveLength(1);
+    expect(exclude).toContain('/output/');
+  });
+
+  it('should commit changes on a new branch without runner artifacts', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'const value = 0;\nmodule.exports = value;\n');
+    fs.writeFileSync(path.join(repoPath, 'problem.md'), '# Problem');
+    fs.mkdirSync(path.join(repoPath, 'output'));
+    fs.writeFileSync(path.join(repoPath, 'output', 'preds.json'), '{}');
+
+    await manager.excludeFromCommit(['problem.md', 'output/']);
+    await manager.configureGit();
+    await manager.createBranch('swe-agent/issue-1');
+    const sha = await manager.commit('Fix null value\n\nWith "quotes" and $(subshell) text');
+
+    expect(sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(await manager.currentBranch()).toBe('swe-agent/issue-1');
+    expect(git(repoPath, 'show', '--name-only', '--format=', 'HEAD')).toBe('app.js');
+    expect(git(repoPath, 'log', '-1', '--format=%B')).toContain('$(subshell)');
+    expect(git(repoPath, 'log', '-1', '--format=%an')).toBe('github-actions[bot]');
+  });
+
+  it('should push the branch to the remote', async () => {
+    fs.writeFileSync(path.join(repoPath, 'new-file.js'), 'module.exports = 1;\n');
+
+    await manager.createBranch('swe-agent/issue-2');
+    const sha = await manager.commit('Add file');
+    await manager.push('swe-agent/issue-2', 'test-token');
+
+    expect(git(remotePath, 'rev-parse', 'refs/heads/swe-agent/issue-2')).toBe(sha);
+  });
+
+  it('should not run repository hooks when committing or pushing', async () => {
+    const marker = path.join(tempDir, 'hook-ran');
+    for (const hook of ['pre-commit', 'pre-push']) {
+      const hookPath = path.join(repoPath, '.git', 'hooks', hook);
+      fs.writeFileSync(hookPath, `#!/bin/sh\ntouch ${marker}\n`);
+      fs.chmodSync(hookPath, 0o755);
+    }
+    fs.writeFileSync(path.join(repoPath, 'new-file.js'), 'module.exports = 1;\n');
+
+    await manager.configureGit();
+    await manager.createBranch('swe-agent/issue-4');
+    const sha = await manager.commit('Add file');
+    await manager.push('swe-agent/issue-4', 'test-token');
+
+    expect(git(remotePath, 'rev-parse', 'refs/heads/swe-agent/issue-4')).toBe(sha);
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+
+  it('should check out the pull request head', async () => {
+    git(repoPath, 'checkout', '-b', 'feature');
+    fs.writeFileSync(path.join(repoPath, 'feature.js'), 'module.exports = 2;\n');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-m', 'Feature commit');
+    const headSha = git(repoPath, 'rev-parse', 'HEAD');
+    git(repoPath, 'push', 'origin', 'HEAD:refs/pull/5/head');
+    git(repoPath, 'checkout', 'main');
+    git(repoPath, 'branch', '-D', 'feature');
+
+    const sha = await manager.checkoutPullRequest({ number: 5, head: { ref: 'feature', sha: headSha } });
+
+    expect(sha).toBe(headSha);
+    expect(await manager.currentBranch()).toBe('HEAD');
+    expect(fs.existsSync(path.join(repoPath, 'feature.js'))).toBe(true);
+  });
+
+  it('should check out a pull request in a worktree without moving the checkout\'s branch', async () => {
+    const mainSha = git(repoPath, 'rev-parse', 'main');
+    git(repoPath, 'checkout', '-b', 'fork-main');
+    fs.writeFileSync(path.join(repoPath, 'fork.js'), 'module.exports = 3;\n');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-m', 'Fork commit');
+    const headSha = git(repoPath, 'rev-parse', 'HEAD');
+    git(repoPath, 'push', 'origin', 'HEAD:refs/pull/6/head');
+    git(repoPath, 'checkout', 'main');
+    git(repoPath, 'branch', '-D', 'fork-main');
+
+    const worktreePath = path.join(tempDir, 'runs', 'worktree');
+    const worktree = new WorkspaceManager(worktreePath);
+    await worktree.addWorktree(repoPath, 'main');
+
+    // A fork's pull request from its own main branch has the same head ref as the checked out branch
+    const sha = await worktree.checkoutPullRequest({ number: 6, head: { ref: 'main', sha: headSha } });
+
+    expect(sha).toBe(headSha);
+    expect(git(repoPath, 'rev-parse', 'main')).toBe(mainSha);
+    expect(git(repoPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(fs.existsSync(path.join(repoPath, 'fork.js'))).toBe(false);
+
+    await worktree.removeWorktree(repoPath);
+  });
+
+  it('should clone without writing the token into the repository', async () => {
+    const clonePath = path.join(tempDir, 'runs', 'clone');
+    const cloner = new WorkspaceManager(clonePath);
+
+    await cloner.clone(remotePath, 'ghs_secret');
+
+    expect(fs.existsSync(path.join(clonePath, 'app.js'))).toBe(true);
+    expect(fs.readFileSync(path.join(clonePath, '.git', 'config'), 'utf8')).not.toContain('ghs_secret');
+    expect(cloner.authConfig('ghs_secret', 'https://github.com')[1]).toEqual([
+      'http.https://github.com/.extraheader',
+      `AUTHORIZATION: basic ${Buffer.from('x-access-token:ghs_secret').toString('base64')}`
+    ]);
+  });
+
+  it('should send the token to the GitHub server only, replacing the credentials actions/checkout persisted', () => {
+    const header = `AUTHORIZATION: basic ${Buffer.from('x-access-token:ghs_secret').toString('base64')}`;
+
+    expect(manager.authConfig('ghs_secret', 'https://ghe.example.com/')).toEqual([
+      ['http.https://ghe.example.com/.extraheader', ''],
+      ['http.https://ghe.example.com/.extraheader', header]
+    ]);
+    expect(manager.authConfig(null)).toEqual([]);
+  });
+
+  it('should trust the checkout a worktree is added to', async () => {
+    const processRunner = { run: jest.fn().mockResolvedValue({ stdout: '', stderr: '', code: 0 }) };
+    const worktree = new WorkspaceManager('/tmp/runs/worktree', processRunner);
+    delete process.env.GITHUB_SERVER_URL;
+
+    await worktree.addWorktree('/github/workspace', 'main', 'ghs_secret');
+    await worktree.removeWorktree('/github/workspace');
+
+    for (const [, , options] of processRunner.run.mock.calls) {
+      expect(options.cwd).toBe('/github/workspace');
+      expect(options.env).toMatchObject({ GIT_CONFIG_KEY_0: 'safe.directory', GIT_CONFIG_VALUE_0: '/github/workspace' });
+    }
+
+    const [args, fetchOptions] = processRunner.run.mock.calls[0].slice(1);
+    expect(args[0]).toBe('fetch');
+    expect(fetchOptions.env).toMatchObject({
+      GIT_CONFIG_COUNT: '3',
+      GIT_CONFIG_KEY_1: 'http.https://github.com/.extraheader',
+      GIT_CONFIG_VALUE_1: '',
+      GIT_CONFIG_KEY_2: 'http.https://github.com/.extraheader'
+    });
+  });
+
+  it('should make shallow and sparse clones', async () => {
+    fs.mkdirSync(path.join(repoPath, 'services', 'api'), { recursive: true });
+    fs.mkdirSync(path.join(repoPath, 'services', 'web'), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, 'services', 'api', 'index.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(repoPath, 'services', 'web', 'index.js'), 'module.exports = 2;\n');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-m', 'Add services');
+    git(repoPath, 'push', 'origin', 'main');
+
+    const clonePath = path.join(tempDir, 'runs', 'sparse');
+    const cloner = new WorkspaceManager(clonePath);
+
+    // Local paths ignore --depth, so go through file://
+    await cloner.clone(`file://${remotePath}`, null, { depth: 1, sparsePaths: ['services/api'] });
+
+    expect(git(clonePath, 'rev-parse', '--is-shallow-repository')).toBe('true');
+    expect(git(clonePath, 'rev-list', '--count', 'HEAD')).toBe('1');
+    expect(fs.existsSync(path.join(clonePath, 'app.js'))).toBe(true);
+    expect(fs.existsSync(path.join(clonePath, 'services', 'api', 'index.js'))).toBe(true);
+    expect(fs.existsSync(path.join(clonePath, 'services', 'web'))).toBe(false);
+  });
+
+  it('should work in a worktree without touching the original checkout', async () => {
+    git(repoPath, 'remote', 'set-head', 'origin', '--delete');
+    const worktreePath = path.join(tempDir, 'runs', 'worktree');
+    const worktree = new WorkspaceManager(worktreePath);
+    const configBefore = fs.readFileSync(path.join(repoPath, '.git', 'config'), 'utf8');
+
+    await worktree.addWorktree(repoPath, 'main');
+
+    expect(await worktree.readFile('origin/HEAD', 'app.js')).toContain('const value = null;');
+
+    fs.writeFileSync(path.join(worktreePath, 'app.js'), 'const value = 1;\n');
+    fs.writeFileSync(path.join(worktreePath, 'problem.md'), '# Problem');
+    await worktree.excludeFromCommit(['problem.md']);
+    await worktree.configureGit();
+    await worktree.createBranch('swe-agent/issue-3');
+    await worktree.commit('Change value');
+
+    expect(git(worktreePath, 'show', '--name-only', '--format=%an', 'HEAD')).toBe('github-actions[bot]\n\napp.js');
+    expect(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8')).toContain('const value = null;');
+    expect(git(repoPath, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(fs.readFileSync(path.join(repoPath, '.git', 'config'), 'utf8')).toBe(configBefore);
+
+    await worktree.removeWorktree(repoPath);
+
+    expect(fs.existsSync(worktreePath)).toBe(false);
+    expect(git(repoPath, 'worktree', 'list')).not.toContain('worktree');
+  });
+
+  it('should build clone URLs for the configured GitHub server', () => {
+    const repository = { full_name: 'acme/app', clone_url: 'https://github.com/acme/app.git' };
+
+    expect(manager.repositoryUrl(repository, 'https://ghe.example.com/')).toBe('https://ghe.example.com/acme/app.git');
+    expect(manager.repositoryUrl(repository, '')).toBe('https://github.com/acme/app.git');
+  });
+
+  describe('generateCommitMessage', () => {
+    it('should reference the issue and list changed files', () => {
+      const event = {
+        type: 'issue_comment',
+        issueNumber: 42,
+        issue: { title: 'Null check fails' },
+        command: { verb: 'fix' }
+      };
+
+      const message = manager.generateCommitMessage(event, {
+        summary: 'Added a null check',
+        filesChanged: [{ path: 'app.js' }]
+      });
+
+      expect(message.split('\n')[0]).toBe('Fix #42: Null check fails');
+      expect(message).toContain('Added a null check');
+      expect(message).toContain('- app.js');
+    });
+
+    it('should truncate long subject lines', () => {
+      const event = { type: 'issue', issueNumber: 1, issue: { title: 'x'.repeat(100) } };
+
+      const subject = manager.generateCommitMessage(event, {}).split('\n')[0];
+      expect(subject.length).toBe(72);
+    });
+  });
+});
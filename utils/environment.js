@@ -6,6 +6,16 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const ProviderRegistry = require('../src/provider-registry');
+
+const providers = new ProviderRegistry();
+
+// Variables the SWE-agent process needs to run at all (toolchain, locale, proxies)
+const BASE_CHILD_ENV = [
+  'PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TERM', 'SHELL', 'TMPDIR', 'TMP', 'TEMP',
+  'PYTHONPATH', 'VIRTUAL_ENV', 'CONDA_PREFIX', 'PYENV_ROOT',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'SSL_CERT_FILE', 'REQUESTS_CA_BUNDLE'
+];
 
 function validateEnvironment() {
   const errors = [];
@@ -16,17 +26,9 @@ function validateEnvironment() {
   }
   
   // Check if we have at least one AI provider API key
-  const hasApiKey = !!(
-    process.env.OPENAI_API_KEY ||
-    process.env.ANTHROPIC_API_KEY ||
-    process.env.DEEPSEEK_API_KEY ||
-    process.env.GROQ_API_KEY ||
-    process.env.OPENROUTER_API_KEY ||
-    process.env.AZURE_OPENAI_API_KEY
-  );
-  
-  if (!hasApiKey) {
-    errors.push('At least one AI provider API key is required (OPENAI_API_KEY, ANTHROPIC_API_KEY, etc.)');
+  if (providers.availableProviders().length === 0) {
+    const keys = providers.list().filter(provider => provider.apiKeyEnv).map(provider => provider.apiKeyEnv);
+    errors.push(`At least one AI provider API key is required (${keys.join(', ')})`);
   }
   
   if (errors.length > 0) {
@@ -64,13 +66,28 @@ function getSafeEnvironment() {
     workspace: process.env.GITHUB_WORKSPACE,
     eventName: process.env.GITHUB_EVENT_NAME,
     repository: process.env.GITHUB_REPOSITORY,
-    hasOpenAI: !!process.env.OPENAI_API_KEY,
-    hasAnthropic: !!process.env.ANTHROPIC_API_KEY,
-    hasDeepSeek: !!process.env.DEEPSEEK_API_KEY,
-    hasGroq: !!process.env.GROQ_API_KEY
+    providers: providers.availableProviders()
   };
 }
 
+function buildChildEnvironment(allowlist = [], env = process.env) {
+  // Start empty so tokens such as GITHUB_TOKEN never reach the agent unless allowlisted
+  const patterns = [...BASE_CHILD_ENV, ...providers.credentialEnvVars(), ...allowlist];
+  const childEnv = {};
+
+  for (const [name, value] of Object.entries(env)) {
+    const allowed = patterns.some(pattern => (
+      pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+    ));
+
+    if (allowed && value !== undefined) {
+      childEnv[name] = value;
+    }
+  }
+
+  return childEnv;
+}
+
 function checkSWEAgentCLI() {
   // Simple check if SWE-agent CLI is available
   try {
@@ -86,5 +103,6 @@ module.exports = {
   validateEnvironment,
   setupWorkspace,
   getSafeEnvironment,
+  buildChildEnvironment,
   checkSWEAgentCLI
 };
\ No newline at end of file